@@ -6,16 +6,19 @@ class AnimationController {
   /**
    * Create a new animation controller
    * @param {Object} config - Configuration object
+   * @param {EventEmitter} [events] - Emitter for transition events
    */
-  constructor(config) {
+  constructor(config, events = null) {
     this.config = config;
+    this.events = events;
     this.transitions = {};
     
     // Transition state
     this.isTransitioning = false;
-    this.transitionStartTime = 0;
+    this.transitionElapsed = 0;
     this.transitionDuration = 0;
     this.onTransitionComplete = null;
+    this.onTransitionCancel = null;
     
     // Register built-in transitions
     this.registerBuiltInTransitions();
@@ -50,13 +53,22 @@ class AnimationController {
    * @param {number} duration - Duration of transition in milliseconds
    * @param {string} type - Type of transition (easing function)
    * @param {Function} callback - Function to call when transition completes
+   * @param {Function} onCancel - Function called with a reason if the transition is cancelled or superseded
    */
-  startTransition(particles, targetShape, duration = 1000, type = 'easeInOut', callback = null) {
+  startTransition(particles, targetShape, duration = 1000, type = 'easeInOut', callback = null, onCancel = null) {
+    // A transition that is still running is superseded by this one. Callers release
+    // the particles before retargeting them (see Particle3DMesh.transitionToShape()),
+    // so each one starts from where the old transition left it.
+    if (this.isTransitioning) {
+      this.endTransition('superseded');
+    }
+    
     // Set transition state
     this.isTransitioning = true;
-    this.transitionStartTime = Date.now();
+    this.transitionElapsed = 0;
     this.transitionDuration = duration;
     this.onTransitionComplete = callback;
+    this.onTransitionCancel = onCancel;
     
     // Get the easing function
     const easingFunction = this.transitions[type] || this.transitions.easeInOut;
@@ -64,32 +76,150 @@ class AnimationController {
     // Store the transition data for each particle
     this.particles = particles;
     this.easingFunction = easingFunction;
+    this.easingName = this.transitions[type] ? type : 'easeInOut';
+    this.targetShapeName = targetShape ? targetShape.name : null;
+    
+    this.emit('transitionstart', 0);
+  }
+  
+  /**
+   * Cancel the running transition, leaving particles where they are
+   * @param {string} reason - Reason passed to the cancel callback
+   * @returns {boolean} - True if a transition was cancelled
+   */
+  cancelTransition(reason = 'cancelled') {
+    if (!this.isTransitioning) return false;
+    
+    // Release particles so they resume free movement from their current position
+    if (this.particles) {
+      this.particles.forEach(particle => particle.cancelTransition());
+    }
+    
+    this.endTransition(reason);
+    return true;
+  }
+  
+  /**
+   * Clear transition state and notify the cancel callback
+   * @param {string} reason - Why the transition ended early
+   */
+  endTransition(reason) {
+    const onCancel = this.onTransitionCancel;
+    const progress = this.getProgress();
+    
+    this.isTransitioning = false;
+    this.onTransitionComplete = null;
+    this.onTransitionCancel = null;
+    
+    this.emit('transitioncancel', progress);
+    
+    if (onCancel) {
+      onCancel(reason);
+    }
+  }
+  
+  /**
+   * Get the progress of the current transition
+   * @returns {number} - Progress from 0 to 1
+   */
+  getProgress() {
+    if (this.transitionDuration <= 0) return 1;
+    return Math.min(this.transitionElapsed / this.transitionDuration, 1);
+  }
+  
+  /**
+   * Jump the running transition to a point in time
+   * @param {number} elapsed - Time since the transition started in ms
+   */
+  seek(elapsed) {
+    if (!this.isTransitioning) return;
+    
+    this.transitionElapsed = Math.max(0, elapsed);
+    this.updateTransition(this.particles, 0);
+  }
+  
+  /**
+   * Capture the running transition
+   * @returns {Object|null} - JSON-safe transition state, or null when idle
+   */
+  serialize() {
+    if (!this.isTransitioning) return null;
+    
+    return {
+      shape: this.targetShapeName,
+      elapsed: this.transitionElapsed,
+      duration: this.transitionDuration,
+      easing: this.easingName
+    };
+  }
+  
+  /**
+   * Resume a transition captured by serialize() without emitting 'transitionstart'.
+   * Particles must already hold their original and target positions.
+   * @param {Object} state - Transition state
+   * @param {Array} particles - Array of particles to animate
+   * @param {Function} callback - Function to call when transition completes
+   * @param {Function} onCancel - Function called with a reason if the transition is cancelled or superseded
+   */
+  restore(state, particles, callback = null, onCancel = null) {
+    this.isTransitioning = true;
+    this.transitionElapsed = state.elapsed;
+    this.transitionDuration = state.duration;
+    this.onTransitionComplete = callback;
+    this.onTransitionCancel = onCancel;
+    this.particles = particles;
+    this.easingName = this.transitions[state.easing] ? state.easing : 'easeInOut';
+    this.easingFunction = this.transitions[this.easingName];
+    this.targetShapeName = state.shape;
+  }
+  
+  /**
+   * Emit a transition event if an emitter is attached
+   * @param {string} event - Event name
+   * @param {number} progress - Transition progress from 0 to 1
+   */
+  emit(event, progress) {
+    if (!this.events) return;
+    
+    this.events.emit(event, {
+      shape: this.targetShapeName,
+      progress,
+      duration: this.transitionDuration,
+      easing: this.easingName
+    });
   }
   
   /**
    * Update transition progress
    * @param {Array} particles - Array of particles to update
+   * @param {number} delta - Simulation time elapsed since the last update in ms
    * @returns {boolean} - True if transition is still in progress
    */
-  updateTransition(particles) {
+  updateTransition(particles, delta) {
     if (!this.isTransitioning) return false;
     
     // Calculate progress (0 to 1)
-    const elapsed = Date.now() - this.transitionStartTime;
-    const progress = Math.min(elapsed / this.transitionDuration, 1);
+    this.transitionElapsed += delta;
+    const progress = this.getProgress();
     
     // Update each particle's position
     particles.forEach(particle => {
       particle.updateTransition(progress, this.easingFunction);
     });
     
+    this.emit('transitionprogress', progress);
+    
     // Check if transition is complete
     if (progress >= 1) {
+      const onComplete = this.onTransitionComplete;
       this.isTransitioning = false;
+      this.onTransitionComplete = null;
+      this.onTransitionCancel = null;
+      this.emit('transitioncomplete', 1);
       
       // Call the completion callback if provided
-      if (this.onTransitionComplete) {
-        this.onTransitionComplete();
+      if (onComplete) {
+        onComplete();
       }
     }
     
@@ -13,13 +13,28 @@ class Camera {
     // Camera position and orientation
     this.angle = 0;
     this.elevation = 0;
+    this.roll = 0;             // Rotation around the view direction in radians
     this.position = { x: 0, y: 0, z: 0 };
     this.forward = { x: 0, y: 0, z: 0 };
     this.right = { x: 0, y: 0, z: 0 };
     this.up = { x: 0, y: 0, z: 0 };
+    this.orientation = new Quaternion(); // Rotation giving right, up and forward (see Quaternion.toBasis)
     
-    // For smooth camera movement
-    this.startTime = Date.now();
+    // Viewport of the canvas this camera projects onto (set by the owning mesh)
+    this.viewport = { width: 1, height: 1, aspect: 1, pixelRatio: 1 };
+    
+    // Projection shared by projectPoint() and getProjectionMatrix(), refreshed by
+    // updateProjection(): focal length in device pixels, orthographic scale, clip planes
+    this.projection = { orthographic: false, focalLength: 1, scale: 1, near: 0.1, far: 2000 };
+    
+    // Animated field of view: zoomTo() overrides FOV, and a dolly zoom scales the
+    // distance to the look-at point so its plane keeps the same size on screen
+    this.fov = null;           // Vertical field of view in degrees (null = from config)
+    this.zoom = null;          // Running zoomTo(): { fromFov, toFov, fromDolly, dolly, startTime, duration }
+    this.dolly = 1;            // Scale on the distance from the look-at point
+    
+    // For smooth camera movement (simulation time in ms, advanced by update())
+    this.time = 0;
     this.lastAngle = 0;
     this.angularVelocity = 0;
     
@@ -28,6 +43,7 @@ class Camera {
     this.targetElevation = null;
     this.targetDistance = null;
     this.targetLookAt = null;
+    this.targetRoll = null;
     this.transitionSpeed = 0.05;
     this.restrictToShape = false;
     
@@ -40,15 +56,88 @@ class Camera {
     this.transitionStartAngle = null;
     this.transitionStartElevation = null;
     this.transitionStartDistance = null;
+    this.transitionStartRoll = null;
+    
+    // Fixed eye position and orientation set by setPose(); holds until the camera is moved
+    this.pose = null;
+    // Orientation eased out of when leaving a pose: { from, startTime, duration }
+    this.orientationBlend = null;
+    
+    // Interactive orbit controls: while the user has control, drag and zoom
+    // input replaces auto-rotation and shape camera preferences
+    this.userControl = false;
+    this.isDragging = false;
+    this.orbitVelocity = { angle: 0, elevation: 0 }; // Radians per 60 Hz frame
+    this.userDistance = null;  // Zoom distance the camera eases toward
+    this.idleTime = 0;         // Time since the last user input in ms
+    
+    // Keyframed fly-through; while a path runs it overrides every other mode
+    this.path = null;
+    this.pathTime = 0;         // Time travelled along the path in ms
+    this.onPathComplete = null;
+    this.onPathCancel = null;
+    this.easings = null;       // Easing functions by name for paths (set by the owning mesh)
+    
+    // Orbit modes circle orbitCenter, which glides toward the focused point or the
+    // center of a framed shape (or back to the origin) and is what the camera looks
+    // at when no look-at point is set
+    this.orbitCenter = { x: 0, y: 0, z: 0 };
+    this.targetOrbitCenter = null;
+    // Shape whose camera preferences the camera holds, refitted when the viewport or framing options change
+    this.framedShape = null;
+    // Region or particle set by focusOn() or follow(): { center, target, offset, smoothing }
+    this.focus = null;
+  }
+  
+  /**
+   * Set the viewport dimensions used for projection
+   * @param {number} width - Viewport width in device pixels
+   * @param {number} height - Viewport height in device pixels
+   * @param {number} pixelRatio - Device pixels per CSS pixel
+   */
+  setViewport(width, height, pixelRatio = 1) {
+    this.viewport.width = width;
+    this.viewport.height = height;
+    this.viewport.aspect = height > 0 ? width / height : 1;
+    this.viewport.pixelRatio = pixelRatio;
+    this.updateProjection();
+    this.reframe();
   }
   
   /**
    * Update camera position and orientation
+   * @param {number} delta - Simulation time elapsed since the last update in ms
    */
-  update() {
-    const currentTime = Date.now();
+  update(delta = Clock.REFERENCE_FRAME) {
+    this.time += delta;
+    const currentTime = this.time;
     
-    if (this.restrictToShape && this.targetAngle !== null) {
+    // Per-frame rates are tuned for 60 Hz; scale them to the elapsed time
+    const frameScale = delta / Clock.REFERENCE_FRAME;
+    const smoothing = 1 - Math.pow(1 - this.transitionSpeed, frameScale);
+    
+    this.updateOrbitCenter(frameScale);
+    
+    if (this.path || this.pose) {
+      if (this.path) {
+        this.updatePath(delta);
+      } else {
+        this.updatePose();
+      }
+      
+      // Calculate angular velocity for effects
+      this.angularVelocity = this.angle - this.lastAngle;
+      this.lastAngle = this.angle;
+    } else if (this.userControl) {
+      this.updateOrbit(delta, frameScale, smoothing);
+      
+      // Calculate angular velocity for effects
+      this.angularVelocity = this.angle - this.lastAngle;
+      this.lastAngle = this.angle;
+      
+      // Calculate camera position
+      this.placeOnOrbit();
+    } else if (this.restrictToShape && this.targetAngle !== null) {
       // Handle smooth transition when first entering restricted mode
       if (this.isTransitioning) {
         const elapsed = currentTime - this.transitionStartTime;
@@ -63,15 +152,17 @@ class Camera {
           this.elevation = this.transitionStartElevation + (this.targetElevation - this.transitionStartElevation) * easedProgress;
           this.currentDistance = this.transitionStartDistance + 
             ((this.targetDistance !== null ? this.targetDistance : this.config.CAMERA_DISTANCE) - this.transitionStartDistance) * easedProgress;
+          this.roll = (this.transitionStartRoll || 0) + ((this.targetRoll || 0) - (this.transitionStartRoll || 0)) * easedProgress;
         } else {
           // Transition complete
           this.isTransitioning = false;
         }
       } else {
         // Regular smooth movement towards target
-        this.angle += (this.targetAngle - this.angle) * this.transitionSpeed;
-        this.elevation += (this.targetElevation - this.elevation) * this.transitionSpeed;
-        this.currentDistance += ((this.targetDistance !== null ? this.targetDistance : this.config.CAMERA_DISTANCE) - this.currentDistance) * this.transitionSpeed;
+        this.angle += (this.targetAngle - this.angle) * smoothing;
+        this.elevation += (this.targetElevation - this.elevation) * smoothing;
+        this.currentDistance += ((this.targetDistance !== null ? this.targetDistance : this.config.CAMERA_DISTANCE) - this.currentDistance) * smoothing;
+        this.roll += ((this.targetRoll || 0) - this.roll) * smoothing;
       }
       
       // Calculate angular velocity for effects
@@ -79,20 +170,28 @@ class Camera {
       this.lastAngle = this.angle;
       
       // Calculate camera position
-      const horizontalRadius = this.currentDistance * Math.cos(this.elevation);
-      this.position.x = horizontalRadius * Math.cos(this.angle);
-      this.position.y = this.currentDistance * Math.sin(this.elevation);
-      this.position.z = horizontalRadius * Math.sin(this.angle);
+      this.placeOnOrbit();
     } else {
-      const time = currentTime - this.startTime;
-      const cycle = (time % this.config.ROTATION_PERIOD) / this.config.ROTATION_PERIOD;
+      const cycle = (currentTime % this.config.ROTATION_PERIOD) / this.config.ROTATION_PERIOD;
       
       // Smooth horizontal rotation
-      this.angle += this.config.AUTO_ROTATION_SPEED;
+      this.angle += this.config.AUTO_ROTATION_SPEED * frameScale;
       
       // Smooth multi-directional changes using sine waves
-      this.elevation = Math.sin(cycle * Math.PI * 2) * 0.3;
-      const horizontalOffset = Math.sin(cycle * Math.PI * 2) * 0.002;
+      const autoElevation = Math.sin(cycle * Math.PI * 2) * 0.3;
+      if (this.isTransitioning) {
+        // Blend into the automatic motion after leaving a shape or orbit controls
+        const progress = Math.min((currentTime - this.transitionStartTime) / this.transitionDuration, 1);
+        const easedProgress = this.easeInOutCubic(progress);
+        this.elevation = this.transitionStartElevation + (autoElevation - this.transitionStartElevation) * easedProgress;
+        this.roll = (this.transitionStartRoll || 0) * (1 - easedProgress);
+        if (progress >= 1) {
+          this.isTransitioning = false;
+        }
+      } else {
+        this.elevation = autoElevation;
+      }
+      const horizontalOffset = Math.sin(cycle * Math.PI * 2) * 0.002 * frameScale;
       
       // Apply smooth horizontal offset to camera angle
       this.angle += horizontalOffset;
@@ -102,56 +201,877 @@ class Camera {
       this.lastAngle = this.angle;
       
       // Smoothly adjust distance
-      this.currentDistance += (this.config.CAMERA_DISTANCE - this.currentDistance) * this.transitionSpeed;
+      this.currentDistance += (this.config.CAMERA_DISTANCE - this.currentDistance) * smoothing;
       
       // Calculate camera position
-      const horizontalRadius = this.currentDistance * Math.cos(this.elevation);
-      this.position.x = horizontalRadius * Math.cos(this.angle);
-      this.position.y = this.currentDistance * Math.sin(this.elevation);
-      this.position.z = horizontalRadius * Math.sin(this.angle);
+      this.placeOnOrbit();
     }
     
-    // Calculate normalized direction from camera to origin or target look-at point
-    const lookAtPoint = this.targetLookAt || { x: 0, y: 0, z: 0 };
-    const dx = lookAtPoint.x - this.position.x;
-    const dy = lookAtPoint.y - this.position.y;
-    const dz = lookAtPoint.z - this.position.z;
+    this.updateZoom();
+    
+    // A dolly zoom moves the camera along the line to its look-at point
+    if (this.dolly !== 1) {
+      const lookAtPoint = this.getLookAt();
+      this.position.x = lookAtPoint.x + (this.position.x - lookAtPoint.x) * this.dolly;
+      this.position.y = lookAtPoint.y + (this.position.y - lookAtPoint.y) * this.dolly;
+      this.position.z = lookAtPoint.z + (this.position.z - lookAtPoint.z) * this.dolly;
+    }
+    
+    // A pose sets the orientation directly; every other mode looks at its target
+    let orientation = this.pose ? this.pose.current : this.lookRotation(this.getLookAt());
+    
+    // Ease out of a pose instead of snapping to the new mode's view direction
+    if (this.orientationBlend) {
+      const blend = this.orientationBlend;
+      const progress = blend.duration > 0 ? Math.min((currentTime - blend.startTime) / blend.duration, 1) : 1;
+      orientation = Quaternion.slerp(blend.from, orientation, this.easeInOutCubic(progress));
+      if (progress >= 1) {
+        this.orientationBlend = null;
+      }
+    }
+    
+    this.setOrientation(orientation);
+    this.updateProjection();
+  }
+  
+  /**
+   * Advance a zoomTo() transition
+   */
+  updateZoom() {
+    const zoom = this.zoom;
+    if (!zoom) return;
+    
+    const progress = zoom.duration > 0 ? Math.min((this.time - zoom.startTime) / zoom.duration, 1) : 1;
+    this.fov = zoom.fromFov + (zoom.toFov - zoom.fromFov) * this.easeInOutCubic(progress);
     
-    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    // Distance grows with the focal length, so the look-at plane keeps its size
+    if (zoom.dolly) {
+      this.dolly = zoom.fromDolly * Camera.focalRatio(zoom.fromFov, this.fov);
+    }
     
-    this.forward = { 
-      x: dx / length,
-      y: dy / length,
-      z: dz / length
+    if (progress >= 1) {
+      this.zoom = null;
+    }
+  }
+  
+  /**
+   * Change the field of view, optionally as a dolly zoom
+   * @param {number} fov - Vertical field of view in degrees
+   * @param {Object} [options] - Zoom options
+   * @param {number} [options.duration] - Time in ms to reach the new field of view (0 = at once)
+   * @param {boolean} [options.dolly] - Move the camera so the look-at plane keeps its size on screen
+   * @throws {RangeError} - If fov is not between 0 and 180 degrees
+   */
+  zoomTo(fov, options = {}) {
+    if (typeof fov !== 'number' || !(fov > 0 && fov < 180)) {
+      throw new RangeError(`Camera: fov must be between 0 and 180 degrees, got ${fov}`);
+    }
+    
+    this.zoom = {
+      fromFov: this.getFov(),
+      toFov: fov,
+      fromDolly: this.dolly,
+      dolly: !!options.dolly,
+      startTime: this.time,
+      duration: options.duration || 0
     };
     
-    // Right vector: cross product of world-up and Forward
-    const worldUp = { x: 0, y: 1, z: 0 };
-    this.right = {
-      x: this.forward.z * worldUp.y - this.forward.y * worldUp.z,
-      y: this.forward.x * worldUp.z - this.forward.z * worldUp.x,
-      z: this.forward.y * worldUp.x - this.forward.x * worldUp.y
+    if (!this.zoom.duration) {
+      this.update(0);
+    }
+  }
+  
+  /**
+   * Drop the field of view set by zoomTo() and use the configured one again.
+   * The dolly distance is kept.
+   */
+  resetZoom() {
+    this.fov = null;
+    this.zoom = null;
+    this.updateProjection();
+  }
+  
+  /**
+   * Current vertical field of view
+   * @returns {number} - Field of view in degrees
+   */
+  getFov() {
+    if (this.fov !== null) return this.fov;
+    if (this.config.FOV !== null && this.config.FOV !== undefined) return this.config.FOV;
+    
+    // Without FOV, FOCAL_LENGTH (in CSS pixels) fixes the field of view for the canvas height
+    return 2 * Math.atan(this.viewport.height / (2 * this.config.FOCAL_LENGTH * this.viewport.pixelRatio)) * 180 / Math.PI;
+  }
+  
+  /**
+   * Recompute the projection used by projectPoint() and getProjectionMatrix()
+   */
+  updateProjection() {
+    const projection = this.projection;
+    const useFov = this.fov !== null || (this.config.FOV !== null && this.config.FOV !== undefined);
+    
+    // FOCAL_LENGTH is in CSS pixels, so scale it up to device pixels
+    projection.focalLength = useFov
+      ? this.viewport.height / 2 / Math.tan(this.getFov() * Math.PI / 360)
+      : this.config.FOCAL_LENGTH * this.viewport.pixelRatio;
+    
+    // Orthographic views show ORTHO_HEIGHT world units, or match the perspective
+    // scale at the look-at point so switching modes keeps the subject's size
+    projection.orthographic = this.config.PROJECTION === 'orthographic';
+    if (this.config.ORTHO_HEIGHT) {
+      projection.scale = this.viewport.height / this.config.ORTHO_HEIGHT;
+    } else {
+      const focusDepth = this.getFocusDepth();
+      projection.scale = projection.focalLength / (focusDepth > 0 ? focusDepth : this.config.CAMERA_DISTANCE);
+    }
+    
+    // The automatic far plane reaches the far corner of the particle cube
+    projection.near = this.config.NEAR;
+    projection.far = this.config.FAR !== null && this.config.FAR !== undefined
+      ? this.config.FAR
+      : Math.hypot(this.position.x, this.position.y, this.position.z) + this.config.BOUND * Math.sqrt(3);
+    projection.far = Math.max(projection.far, projection.near * 2);
+  }
+  
+  /**
+   * Depth of the look-at point along the view direction
+   * @returns {number} - Depth in world units
+   */
+  getFocusDepth() {
+    const lookAtPoint = this.getLookAt();
+    return (lookAtPoint.x - this.position.x) * this.forward.x +
+      (lookAtPoint.y - this.position.y) * this.forward.y +
+      (lookAtPoint.z - this.position.z) * this.forward.z;
+  }
+  
+  /**
+   * Orientation looking from the camera position at a point, with the camera's roll
+   * @param {Object} lookAtPoint - Point to look at
+   * @param {Object} [up] - World direction shown at the top of the screen (defaults to Camera.UP)
+   * @param {number} [roll] - Rotation around the view direction in radians (defaults to this.roll)
+   * @returns {Quaternion} - The orientation
+   */
+  lookRotation(lookAtPoint, up = Camera.UP, roll = this.roll) {
+    let forward = {
+      x: lookAtPoint.x - this.position.x,
+      y: lookAtPoint.y - this.position.y,
+      z: lookAtPoint.z - this.position.z
     };
+    const length = Math.hypot(forward.x, forward.y, forward.z);
+    
+    // Standing on the look-at point leaves no direction; keep looking the same way
+    if (length < 1e-9) {
+      if (Math.hypot(this.forward.x, this.forward.y, this.forward.z) < 0.5) {
+        return this.orientation.clone();
+      }
+      forward = this.forward;
+    } else {
+      forward = { x: forward.x / length, y: forward.y / length, z: forward.z / length };
+    }
     
-    // Normalize right vector
-    const rightLength = Math.sqrt(
-      this.right.x * this.right.x + 
-      this.right.y * this.right.y + 
-      this.right.z * this.right.z
+    return Quaternion.fromBasis(this.computeBasis(forward, up, roll));
+  }
+  
+  /**
+   * Build an orthonormal camera basis around a view direction
+   * @param {Object} forward - Unit view direction
+   * @param {Object} up - World direction shown at the top of the screen
+   * @param {number} [roll] - Rotation around the view direction in radians
+   * @returns {Object} - { right, up, forward } unit vectors
+   */
+  computeBasis(forward, up, roll = 0) {
+    // Right vector: cross product of Forward and the up direction
+    let right = {
+      x: forward.y * up.z - forward.z * up.y,
+      y: forward.z * up.x - forward.x * up.z,
+      z: forward.x * up.y - forward.y * up.x
+    };
+    let rightLength = Math.hypot(right.x, right.y, right.z);
+    
+    // Looking straight along the up direction: keep the previous right vector,
+    // made perpendicular to the view, so the image does not spin or flip
+    if (rightLength < 1e-6) {
+      const previous = Math.hypot(this.right.x, this.right.y, this.right.z) > 0.5 ? this.right : { x: 1, y: 0, z: 0 };
+      const along = previous.x * forward.x + previous.y * forward.y + previous.z * forward.z;
+      right = { x: previous.x - forward.x * along, y: previous.y - forward.y * along, z: previous.z - forward.z * along };
+      rightLength = Math.hypot(right.x, right.y, right.z);
+      
+      if (rightLength < 1e-6) {
+        right = Math.abs(forward.x) < 0.9 ? { x: 0, y: forward.z, z: -forward.y } : { x: -forward.z, y: 0, z: forward.x };
+        rightLength = Math.hypot(right.x, right.y, right.z);
+      }
+    }
+    right = { x: right.x / rightLength, y: right.y / rightLength, z: right.z / rightLength };
+    
+    // Up vector: cross product of Right and Forward
+    let cameraUp = {
+      x: right.y * forward.z - right.z * forward.y,
+      y: right.z * forward.x - right.x * forward.z,
+      z: right.x * forward.y - right.y * forward.x
+    };
+    
+    // Positive roll turns the camera so the scene rotates clockwise on screen
+    if (roll) {
+      const cos = Math.cos(roll);
+      const sin = Math.sin(roll);
+      const rolledRight = {
+        x: right.x * cos + cameraUp.x * sin,
+        y: right.y * cos + cameraUp.y * sin,
+        z: right.z * cos + cameraUp.z * sin
+      };
+      cameraUp = {
+        x: cameraUp.x * cos - right.x * sin,
+        y: cameraUp.y * cos - right.y * sin,
+        z: cameraUp.z * cos - right.z * sin
+      };
+      right = rolledRight;
+    }
+    
+    return { right, up: cameraUp, forward: { ...forward } };
+  }
+  
+  /**
+   * Point the camera with a rotation and update its basis vectors
+   * @param {Quaternion} orientation - Rotation giving right, up and forward (see Quaternion.toBasis)
+   */
+  setOrientation(orientation) {
+    this.orientation = orientation;
+    const basis = orientation.toBasis();
+    this.right = basis.right;
+    this.up = basis.up;
+    this.forward = basis.forward;
+  }
+  
+  /**
+   * Advance along the camera path and place the camera on it. Angle, elevation
+   * and distance are kept in step so any later mode continues from here.
+   * @param {number} delta - Simulation time elapsed in ms
+   */
+  updatePath(delta) {
+    const path = this.path;
+    this.pathTime += delta;
+    
+    const { position, lookAt, roll } = path.sample(this.pathTime);
+    this.position.x = position.x;
+    this.position.y = position.y;
+    this.position.z = position.z;
+    this.targetLookAt = lookAt;
+    this.roll = roll;
+    this.syncOrbit();
+    
+    if (!path.loop && this.pathTime >= path.getDuration()) {
+      const onComplete = this.onPathComplete;
+      this.holdView();
+      this.clearPath();
+      if (onComplete) onComplete();
+    }
+  }
+  
+  /**
+   * Derive angle, elevation and distance from the position, so orbit-based
+   * modes continue from wherever a path or pose left the camera
+   */
+  syncOrbit() {
+    const x = this.position.x - this.orbitCenter.x;
+    const y = this.position.y - this.orbitCenter.y;
+    const z = this.position.z - this.orbitCenter.z;
+    const distance = Math.sqrt(x * x + y * y + z * z);
+    if (distance > 1e-6) {
+      // Unwrap the angle so angular velocity does not jump at ±π
+      const angle = Math.atan2(z, x);
+      this.angle += Math.atan2(Math.sin(angle - this.angle), Math.cos(angle - this.angle));
+      this.elevation = Math.asin(Math.min(Math.max(y / distance, -1), 1));
+    }
+    this.currentDistance = distance;
+  }
+  
+  /**
+   * Move toward the pose set with setPose(): the position eases along a straight
+   * line and the orientation along the shortest rotation
+   */
+  updatePose() {
+    const pose = this.pose;
+    const progress = pose.duration > 0 ? Math.min((this.time - pose.startTime) / pose.duration, 1) : 1;
+    const easedProgress = this.easeInOutCubic(progress);
+    
+    this.position.x = pose.fromPosition.x + (pose.position.x - pose.fromPosition.x) * easedProgress;
+    this.position.y = pose.fromPosition.y + (pose.position.y - pose.fromPosition.y) * easedProgress;
+    this.position.z = pose.fromPosition.z + (pose.position.z - pose.fromPosition.z) * easedProgress;
+    pose.current = Quaternion.slerp(pose.fromOrientation, pose.orientation, easedProgress);
+    
+    // Keep a look-at point in front of the camera for unprojection and later modes
+    const forward = pose.current.toBasis().forward;
+    this.targetLookAt = {
+      x: this.position.x + forward.x * pose.focusDistance,
+      y: this.position.y + forward.y * pose.focusDistance,
+      z: this.position.z + forward.z * pose.focusDistance
+    };
+    this.syncOrbit();
+  }
+  
+  /**
+   * Place the camera at any eye position, looking at a point or with a given
+   * orientation. The pose holds, overriding auto-rotation and shape camera
+   * preferences, until moveTo(), resetToFreeMode(), a camera path or orbit
+   * input moves the camera.
+   * @param {Object} pose - Camera pose
+   * @param {Object} [pose.position] - Eye position (defaults to the current position)
+   * @param {Object} [pose.lookAt] - Point to look at (defaults to the current look-at point)
+   * @param {Object} [pose.up] - World direction shown at the top of the screen (defaults to
+   *   Camera.UP, world -y, since the scene's y axis points down like the canvas)
+   * @param {number} [pose.roll] - Rotation around the view direction in radians
+   * @param {Quaternion|Object} [pose.orientation] - Orientation { x, y, z, w } turning the x, y and -z
+   *   axes into screen right, screen up and the view direction; replaces lookAt, up and roll
+   * @param {number} [pose.transitionDuration] - Time in ms to move there (0 = at once)
+   * @throws {TypeError} - If a point or the orientation is invalid
+   * @throws {RangeError} - If the position and look-at point coincide
+   */
+  setPose(pose = {}) {
+    ['position', 'lookAt', 'up'].forEach(key => {
+      if (pose[key] !== undefined && !CameraPath.isPoint(pose[key])) {
+        throw new TypeError(`Camera: pose ${key} must have numeric x, y and z`);
+      }
+    });
+    
+    const position = pose.position ? { ...pose.position } : { ...this.position };
+    const lookAt = pose.lookAt || this.getLookAt();
+    let orientation;
+    let focusDistance;
+    
+    if (pose.orientation !== undefined) {
+      orientation = Quaternion.from(pose.orientation).normalize();
+      focusDistance = Math.hypot(lookAt.x - position.x, lookAt.y - position.y, lookAt.z - position.z) || this.config.CAMERA_DISTANCE;
+    } else {
+      const dx = lookAt.x - position.x;
+      const dy = lookAt.y - position.y;
+      const dz = lookAt.z - position.z;
+      focusDistance = Math.hypot(dx, dy, dz);
+      if (focusDistance < 1e-9) {
+        throw new RangeError('Camera: pose position and lookAt must be different points');
+      }
+      const forward = { x: dx / focusDistance, y: dy / focusDistance, z: dz / focusDistance };
+      orientation = Quaternion.fromBasis(this.computeBasis(forward, pose.up || Camera.UP, pose.roll || 0));
+    }
+    
+    // A requested pose takes over from the user, a path, a focus or a shape viewpoint
+    this.cancelPath('moved');
+    this.clearUserControl();
+    this.focus = null;
+    this.isTransitioning = false;
+    this.restrictToShape = false;
+    this.orientationBlend = null;
+    
+    this.pose = {
+      position,
+      orientation,
+      focusDistance,
+      fromPosition: { ...this.position },
+      fromOrientation: this.orientation.clone(),
+      current: this.orientation.clone(),
+      startTime: this.time,
+      duration: pose.transitionDuration || 0
+    };
+    
+    this.update(0);
+  }
+  
+  /**
+   * Current eye position, look-at point and orientation
+   * @returns {Object} - { position, lookAt, orientation, roll } accepted by setPose()
+   */
+  getPose() {
+    return {
+      position: { ...this.position },
+      lookAt: { ...this.getLookAt() },
+      orientation: this.orientation.clone(),
+      roll: this.getRoll()
+    };
+  }
+  
+  /**
+   * Roll of the current orientation, measured from the upright view in the same direction
+   * @returns {number} - Roll in radians
+   */
+  getRoll() {
+    const upright = this.computeBasis(this.forward, Camera.UP, 0);
+    const right = this.right;
+    return Math.atan2(
+      right.x * upright.up.x + right.y * upright.up.y + right.z * upright.up.z,
+      right.x * upright.right.x + right.y * upright.right.y + right.z * upright.right.z
     );
+  }
+  
+  /**
+   * Leave a pose; the view direction eases into whatever mode follows
+   * @param {number} [duration] - Time in ms to blend the orientation
+   */
+  clearPose(duration = 500) {
+    if (!this.pose) return;
+    
+    this.roll = this.getRoll();
+    this.orientationBlend = { from: this.orientation.clone(), startTime: this.time, duration };
+    this.pose = null;
+  }
+  
+  /**
+   * Fly along a keyframed path. The camera leaves orbit controls and shape
+   * viewpoints; shape camera preferences are ignored until the path ends.
+   * A path that does not loop ends holding its last keyframe's view.
+   * @param {CameraPath|Array<Object>|Object} path - Path, keyframes or { keyframes, loop, curve } definition
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.startTime] - Time in ms along the path to start from
+   * @param {Function} [options.onComplete] - Called when a path that does not loop reaches its end
+   * @param {Function} [options.onCancel] - Called with a reason ('superseded', 'moved', 'user',
+   *   'stopped' or 'restored') if the camera leaves the path early
+   * @returns {CameraPath} - The path being followed
+   * @throws {TypeError} - If the path definition is invalid
+   */
+  followPath(path, options = {}) {
+    path = this.createPath(path);
+    this.cancelPath('superseded');
+    this.clearPose();
+    this.clearUserControl();
+    this.focus = null;
+    this.isTransitioning = false;
+    
+    this.path = path;
+    this.pathTime = options.startTime || 0;
+    this.onPathComplete = options.onComplete || null;
+    this.onPathCancel = options.onCancel || null;
     
-    this.right = {
-      x: this.right.x / rightLength,
-      y: this.right.y / rightLength,
-      z: this.right.z / rightLength
+    // Place the camera at once so the first frame is already on the path
+    this.update(0);
+    return path;
+  }
+  
+  /**
+   * Build a CameraPath whose easing names resolve to this camera's easings
+   * @param {CameraPath|Array<Object>|Object} definition - Path, keyframes or path definition
+   * @returns {CameraPath} - The path
+   * @throws {TypeError} - If the definition is invalid
+   */
+  createPath(definition) {
+    return CameraPath.from(definition, this.easings || undefined);
+  }
+  
+  /**
+   * Leave the path and hold the current view
+   */
+  stopPath() {
+    if (!this.path) return;
+    
+    this.holdView();
+    this.cancelPath('stopped');
+  }
+  
+  /**
+   * Drop the path and report why it ended early
+   * @param {string} reason - Cancel reason passed to onCancel
+   * @returns {boolean} - True if a path was being followed
+   */
+  cancelPath(reason) {
+    if (!this.path) return false;
+    
+    const onCancel = this.onPathCancel;
+    this.clearPath();
+    if (onCancel) onCancel(reason);
+    return true;
+  }
+  
+  /**
+   * Forget the path without reporting anything
+   */
+  clearPath() {
+    this.path = null;
+    this.pathTime = 0;
+    this.onPathComplete = null;
+    this.onPathCancel = null;
+  }
+  
+  /**
+   * Keep the camera where it is, looking at the same point, until moved
+   */
+  holdView() {
+    this.targetAngle = this.angle;
+    this.targetElevation = this.elevation;
+    this.targetDistance = this.currentDistance;
+    this.targetLookAt = this.targetLookAt || { ...this.orbitCenter };
+    this.targetOrbitCenter = { ...this.orbitCenter };
+    this.targetRoll = this.roll;
+    this.restrictToShape = true;
+    this.isTransitioning = false;
+  }
+  
+  /**
+   * Place the camera on its orbit around orbitCenter from angle, elevation and distance
+   */
+  placeOnOrbit() {
+    const horizontalRadius = this.currentDistance * Math.cos(this.elevation);
+    this.position.x = this.orbitCenter.x + horizontalRadius * Math.cos(this.angle);
+    this.position.y = this.orbitCenter.y + this.currentDistance * Math.sin(this.elevation);
+    this.position.z = this.orbitCenter.z + horizontalRadius * Math.sin(this.angle);
+  }
+  
+  /**
+   * Point the camera looks at: the requested look-at point, or the orbit center
+   * @returns {Object} - World point { x, y, z }
+   */
+  getLookAt() {
+    return this.targetLookAt || this.orbitCenter;
+  }
+  
+  /**
+   * Move the orbit center toward the focused point or framed shape, or back
+   * to the origin once there is neither
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
+   */
+  updateOrbitCenter(frameScale) {
+    const focus = this.focus;
+    
+    // A followed particle moves, so its center is refreshed every step
+    if (focus && focus.target) {
+      focus.center = {
+        x: focus.target.x + focus.offset.x,
+        y: focus.target.y + focus.offset.y,
+        z: focus.target.z + focus.offset.z
+      };
+    }
+    
+    const goal = focus ? focus.center : this.targetOrbitCenter || { x: 0, y: 0, z: 0 };
+    const center = this.orbitCenter;
+    const smoothing = 1 - Math.pow(1 - (focus ? focus.smoothing : Camera.FOCUS_SMOOTHING), frameScale);
+    center.x += (goal.x - center.x) * smoothing;
+    center.y += (goal.y - center.y) * smoothing;
+    center.z += (goal.z - center.z) * smoothing;
+  }
+  
+  /**
+   * Glide to a particle (or any object with x, y and z) and keep it in the middle
+   * of the view as it drifts. Shape camera preferences are ignored and orbit
+   * controls circle the particle until release() is called.
+   * @param {Object} target - Particle or point { x, y, z } to follow; it is read every frame
+   * @param {Object} [options] - Follow options
+   * @param {number} [options.distance] - Distance from the particle (defaults to Camera.FOLLOW_DISTANCE)
+   * @param {Object} [options.offset] - World offset { x, y, z } of the point looked at from the particle
+   * @param {number} [options.smoothing] - Fraction of the way to the particle moved per 60 Hz frame
+   *   (defaults to Camera.FOCUS_SMOOTHING; 1 locks on)
+   * @param {number} [options.angle] - Horizontal angle to view from (defaults to the current angle)
+   * @param {number} [options.elevation] - Elevation to view from (defaults to the current elevation)
+   * @param {number} [options.transitionDuration] - Time in ms to reach the distance and angles
+   * @throws {TypeError} - If target or offset is not a point
+   * @throws {RangeError} - If smoothing is not above 0 and at most 1
+   */
+  follow(target, options = {}) {
+    if (!CameraPath.isPoint(target)) {
+      throw new TypeError('Camera: follow target must have numeric x, y and z');
+    }
+    if (options.offset !== undefined && !CameraPath.isPoint(options.offset)) {
+      throw new TypeError('Camera: follow offset must have numeric x, y and z');
+    }
+    const smoothing = this.getFocusSmoothing(options.smoothing);
+    
+    this.moveTo({
+      angle: options.angle,
+      elevation: options.elevation,
+      distance: options.distance !== undefined ? options.distance : Camera.FOLLOW_DISTANCE,
+      roll: this.targetRoll !== null ? this.targetRoll : this.roll,
+      transitionDuration: options.transitionDuration
+    });
+    
+    // Look at the orbit center, which trails the particle
+    this.targetLookAt = null;
+    this.focus = { target, offset: options.offset ? { ...options.offset } : { x: 0, y: 0, z: 0 }, center: null, smoothing };
+    this.updateOrbitCenter(0);
+  }
+  
+  /**
+   * Glide to a point or frame a bounding box, and hold the view until release()
+   * is called. A box is fitted inside the field of view at the current aspect ratio.
+   * @param {Object} region - Point { x, y, z } or box { min, max } of world points
+   * @param {Object} [options] - Focus options
+   * @param {number} [options.padding] - Margin around a box as a factor of its size (defaults to CAMERA_FRAME_PADDING)
+   * @param {number} [options.distance] - Distance from the center (defaults to fitting the box,
+   *   or the current distance for a point)
+   * @param {number} [options.smoothing] - Fraction of the way to the center moved per 60 Hz frame
+   * @param {number} [options.angle] - Horizontal angle to view from (defaults to the current angle)
+   * @param {number} [options.elevation] - Elevation to view from (defaults to the current elevation)
+   * @param {number} [options.transitionDuration] - Time in ms to reach the distance and angles
+   * @throws {TypeError} - If region is neither a point nor a box
+   * @throws {RangeError} - If smoothing is not above 0 and at most 1
+   */
+  focusOn(region, options = {}) {
+    let center;
+    let distance = options.distance;
+    const roll = this.targetRoll !== null ? this.targetRoll : this.roll;
+    
+    if (CameraPath.isPoint(region)) {
+      center = { x: region.x, y: region.y, z: region.z };
+      if (distance === undefined) distance = this.currentDistance;
+    } else if (region && CameraPath.isPoint(region.min) && CameraPath.isPoint(region.max)) {
+      center = CameraPath.lerp(region.min, region.max, 0.5);
+      if (distance === undefined) {
+        distance = this.getFramingDistance(region, {
+          angle: options.angle,
+          elevation: options.elevation,
+          roll,
+          padding: options.padding
+        });
+      }
+    } else {
+      throw new TypeError('Camera: focusOn needs a point { x, y, z } or a box { min, max }');
+    }
+    const smoothing = this.getFocusSmoothing(options.smoothing);
+    
+    this.moveTo({
+      angle: options.angle,
+      elevation: options.elevation,
+      distance,
+      roll,
+      transitionDuration: options.transitionDuration
+    });
+    
+    this.targetLookAt = null;
+    this.focus = { target: null, offset: { x: 0, y: 0, z: 0 }, center, smoothing };
+  }
+  
+  /**
+   * Stop following or focusing and return to auto-rotation; the orbit center
+   * glides back to the origin
+   */
+  release() {
+    if (!this.focus) return;
+    
+    this.resetToFreeMode();
+  }
+  
+  /**
+   * Distance from which a bounding volume fits the view at the current field of
+   * view and aspect ratio. Both the bounding box seen from the given direction
+   * and the bounding sphere are fitted, and the closer of the two is used.
+   * @param {Object} bounds - { min, max } box, with an optional bounding sphere radius around its middle
+   * @param {Object} [view] - Viewpoint to fit for
+   * @param {Object} [view.center] - Point the camera will look at (defaults to the middle of the box)
+   * @param {number} [view.angle] - Horizontal angle (defaults to the current angle)
+   * @param {number} [view.elevation] - Elevation (defaults to the current elevation)
+   * @param {number} [view.roll] - Roll (defaults to the current roll)
+   * @param {number} [view.padding] - Margin as a factor of the size (defaults to CAMERA_FRAME_PADDING)
+   * @returns {number} - Distance from the center
+   */
+  getFramingDistance(bounds, view = {}) {
+    const middle = CameraPath.lerp(bounds.min, bounds.max, 0.5);
+    const center = view.center || middle;
+    const padding = view.padding !== undefined ? view.padding : this.config.CAMERA_FRAME_PADDING;
+    const angle = view.angle !== undefined ? view.angle : this.angle;
+    const elevation = view.elevation !== undefined ? view.elevation : this.elevation;
+    
+    // Half extents of a box around the center that still holds the whole volume
+    const half = {
+      x: Math.max(bounds.max.x - center.x, center.x - bounds.min.x),
+      y: Math.max(bounds.max.y - center.y, center.y - bounds.min.y),
+      z: Math.max(bounds.max.z - center.z, center.z - bounds.min.z)
     };
+    const radius = (bounds.radius !== undefined ? bounds.radius : Math.hypot(half.x, half.y, half.z)) +
+      Math.hypot(center.x - middle.x, center.y - middle.y, center.z - middle.z);
+    
+    const tanHalfHeight = Math.tan(this.getFov() * Math.PI / 360);
+    const tanHalfWidth = tanHalfHeight * this.viewport.aspect;
     
-    // Up vector: cross product of Forward and Right
-    this.up = {
-      x: this.forward.z * this.right.y - this.forward.y * this.right.z,
-      y: this.forward.x * this.right.z - this.forward.z * this.right.x,
-      z: this.forward.y * this.right.x - this.forward.x * this.right.y
+    // A sphere fits once it fills the narrower field of view
+    const sphereDistance = radius * padding / Math.sin(Math.atan(Math.min(tanHalfHeight, tanHalfWidth)));
+    
+    // Every corner of the box has to project inside the viewport and in front of the near plane
+    const forward = {
+      x: -Math.cos(elevation) * Math.cos(angle),
+      y: -Math.sin(elevation),
+      z: -Math.cos(elevation) * Math.sin(angle)
     };
+    const { right, up } = this.computeBasis(forward, Camera.UP, view.roll !== undefined ? view.roll : this.roll);
+    let boxDistance = 0;
+    [-1, 1].forEach(sx => [-1, 1].forEach(sy => [-1, 1].forEach(sz => {
+      const corner = { x: sx * half.x, y: sy * half.y, z: sz * half.z };
+      const depth = corner.x * forward.x + corner.y * forward.y + corner.z * forward.z;
+      const x = Math.abs(corner.x * right.x + corner.y * right.y + corner.z * right.z) * padding;
+      const y = Math.abs(corner.x * up.x + corner.y * up.y + corner.z * up.z) * padding;
+      boxDistance = Math.max(boxDistance, x / tanHalfWidth - depth, y / tanHalfHeight - depth, this.config.NEAR - depth);
+    })));
+    
+    return Math.min(sphereDistance, boxDistance);
+  }
+  
+  /**
+   * Camera preferences of a shape, with distance and look-at point chosen to fit
+   * the shape's bounds in the view when the shape leaves the distance open
+   * @param {Object} shape - Shape object with cameraPreferences and bounds
+   * @returns {Object} - Preferences for moveTo()
+   */
+  frameShape(shape) {
+    const prefs = shape.cameraPreferences;
+    if (!this.config.CAMERA_AUTO_FRAME || prefs.autoFrame === false || prefs.distance !== undefined || !shape.bounds) {
+      return prefs;
+    }
+    
+    // Circle the requested look-at point, or the middle of the shape
+    const center = prefs.lookAtPoint || shape.bounds.center || CameraPath.lerp(shape.bounds.min, shape.bounds.max, 0.5);
+    const distance = this.getFramingDistance(shape.bounds, {
+      center,
+      angle: prefs.angle,
+      elevation: prefs.elevation,
+      roll: prefs.roll !== undefined ? prefs.roll : 0
+    });
+    
+    return { ...prefs, distance, center: { ...center }, lookAtPoint: undefined };
+  }
+  
+  /**
+   * Fit the held shape again, e.g. after the canvas was resized, the field of
+   * view changed or auto framing was switched. The camera eases to the new
+   * distance and center.
+   */
+  reframe() {
+    if (!this.framedShape || !this.restrictToShape || this.path || this.pose || this.focus) return;
+    
+    // Same targets moveTo() sets for these preferences
+    const prefs = this.frameShape(this.framedShape);
+    this.targetDistance = prefs.distance !== undefined ? prefs.distance : this.config.CAMERA_DISTANCE;
+    this.targetOrbitCenter = prefs.center ? { ...prefs.center } : null;
+    this.targetLookAt = prefs.lookAtPoint || (prefs.center ? null : { x: 0, y: 0, z: 0 });
+  }
+  
+  /**
+   * Validate a focus smoothing option
+   * @param {number} [smoothing] - Fraction moved per 60 Hz frame
+   * @returns {number} - The smoothing, or Camera.FOCUS_SMOOTHING when not given
+   * @throws {RangeError} - If smoothing is not above 0 and at most 1
+   */
+  getFocusSmoothing(smoothing) {
+    if (smoothing === undefined) return Camera.FOCUS_SMOOTHING;
+    if (typeof smoothing !== 'number' || !(smoothing > 0 && smoothing <= 1)) {
+      throw new RangeError(`Camera: smoothing must be above 0 and at most 1, got ${smoothing}`);
+    }
+    return smoothing;
+  }
+  
+  /**
+   * Advance the camera while the user has control: apply drag inertia, ease
+   * toward the zoom distance and hand control back after the idle timeout
+   * @param {number} delta - Simulation time elapsed in ms
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
+   * @param {number} smoothing - Distance smoothing factor for this step
+   */
+  updateOrbit(delta, frameScale, smoothing) {
+    if (!this.isDragging) {
+      this.angle += this.orbitVelocity.angle * frameScale;
+      this.elevation = this.clampElevation(this.elevation + this.orbitVelocity.elevation * frameScale);
+      
+      const inertia = Math.pow(this.config.ORBIT_INERTIA, frameScale);
+      this.orbitVelocity.angle *= inertia;
+      this.orbitVelocity.elevation *= inertia;
+      
+      this.idleTime += delta;
+    }
+    
+    if (this.userDistance !== null) {
+      this.currentDistance += (this.userDistance - this.currentDistance) * smoothing;
+    }
+    
+    const timeout = this.config.ORBIT_IDLE_TIMEOUT;
+    if (!this.isDragging && timeout !== null && this.idleTime >= timeout) {
+      this.releaseControl();
+    }
+  }
+  
+  /**
+   * Rotate the camera from user input, taking over from auto-rotation and shape preferences
+   * @param {number} deltaAngle - Horizontal rotation in radians
+   * @param {number} deltaElevation - Vertical rotation in radians
+   */
+  orbitBy(deltaAngle, deltaElevation) {
+    this.takeControl();
+    this.angle += deltaAngle;
+    this.elevation = this.clampElevation(this.elevation + deltaElevation);
+    
+    // The latest movement becomes the inertia once the drag ends
+    this.orbitVelocity.angle = deltaAngle;
+    this.orbitVelocity.elevation = deltaElevation;
+  }
+  
+  /**
+   * Zoom from user input by scaling the distance to the look-at point
+   * @param {number} factor - Distance multiplier (below 1 zooms in)
+   */
+  zoomBy(factor) {
+    this.takeControl();
+    const base = this.userDistance !== null ? this.userDistance : this.currentDistance;
+    this.userDistance = Math.min(Math.max(base * factor, this.config.ORBIT_MIN_DISTANCE), this.config.ORBIT_MAX_DISTANCE);
+  }
+  
+  /**
+   * Start or end a drag; inertia only applies once the pointer is released
+   * @param {boolean} dragging - True while a pointer is held down
+   */
+  setDragging(dragging) {
+    if (dragging) {
+      this.takeControl();
+      this.orbitVelocity.angle = 0;
+      this.orbitVelocity.elevation = 0;
+    }
+    this.isDragging = dragging;
+  }
+  
+  /**
+   * Give the user control of the camera, stopping any automatic move
+   */
+  takeControl() {
+    this.cancelPath('user');
+    this.clearPose();
+    if (!this.userControl) {
+      this.userControl = true;
+      this.isTransitioning = false;
+      this.userDistance = null;
+    }
+    this.idleTime = 0;
+  }
+  
+  /**
+   * Hand control back: ease to the shape's requested view if there is one,
+   * otherwise resume auto-rotation
+   */
+  releaseControl() {
+    if (!this.userControl) return;
+    
+    this.userControl = false;
+    this.isDragging = false;
+    this.orbitVelocity.angle = 0;
+    this.orbitVelocity.elevation = 0;
+    this.userDistance = null;
+    
+    this.transitionStartAngle = this.angle;
+    this.transitionStartElevation = this.elevation;
+    this.transitionStartRoll = this.roll;
+    this.transitionStartDistance = this.currentDistance;
+    this.transitionStartTime = this.time;
+    this.isTransitioning = true;
+  }
+  
+  /**
+   * End user control without handing back to automatic motion
+   */
+  clearUserControl() {
+    this.userControl = false;
+    this.isDragging = false;
+    this.orbitVelocity.angle = 0;
+    this.orbitVelocity.elevation = 0;
+    this.userDistance = null;
+  }
+  
+  /**
+   * Keep the elevation short of the poles, where the camera basis flips
+   * @param {number} elevation - Elevation in radians
+   * @returns {number} - Clamped elevation
+   */
+  clampElevation(elevation) {
+    const limit = this.config.ORBIT_MAX_ELEVATION;
+    return Math.min(Math.max(elevation, -limit), limit);
   }
   
   /**
@@ -168,31 +1088,20 @@ class Camera {
    * @param {Object} shape - Shape object with camera preferences
    */
   setShapeTarget(shape) {
+    // A camera path, pose or focus keeps the camera until it ends or is released
+    if (this.path || this.pose || this.focus) return;
+    
     if (shape && shape.cameraPreferences && shape.cameraPreferences.enabled) {
-      const prefs = shape.cameraPreferences;
-      
-      // Store current values for smooth transition
-      this.transitionStartAngle = this.angle;
-      this.transitionStartElevation = this.elevation;
-      this.transitionStartDistance = this.currentDistance;
-      this.transitionStartTime = Date.now();
-      this.isTransitioning = true;
-      
-      // Set target values
-      this.targetAngle = prefs.angle !== undefined ? prefs.angle : this.angle;
-      this.targetElevation = prefs.elevation !== undefined ? prefs.elevation : this.elevation;
-      this.targetDistance = prefs.distance !== undefined ? prefs.distance : this.config.CAMERA_DISTANCE;
-      this.targetLookAt = prefs.lookAtPoint || { x: 0, y: 0, z: 0 };
-      this.transitionSpeed = prefs.transitionSpeed || 0.05;
-      this.transitionDuration = prefs.transitionDuration || 500;
-      this.restrictToShape = true;
+      this.moveTo(this.frameShape(shape));
+      this.framedShape = shape;
     } else {
       // If transitioning from restricted to free, store current values for smooth transition
       if (this.restrictToShape) {
         this.transitionStartAngle = this.angle;
         this.transitionStartElevation = this.elevation;
+        this.transitionStartRoll = this.roll;
         this.transitionStartDistance = this.currentDistance;
-        this.transitionStartTime = Date.now();
+        this.transitionStartTime = this.time;
         this.isTransitioning = true;
       }
       
@@ -201,18 +1110,74 @@ class Camera {
       this.targetElevation = null;
       this.targetDistance = null;
       this.targetLookAt = null;
+      this.targetOrbitCenter = null;
+      this.framedShape = null;
     }
   }
   
+  /**
+   * Move smoothly to a fixed viewpoint and hold it until released
+   * @param {Object} prefs - Target viewpoint
+   * @param {number} [prefs.angle] - Horizontal angle in radians (defaults to the current angle)
+   * @param {number} [prefs.elevation] - Elevation in radians (defaults to the current elevation)
+   * @param {number} [prefs.distance] - Distance from the look-at point (defaults to CAMERA_DISTANCE)
+   * @param {Object} [prefs.lookAtPoint] - Point to look at (defaults to the center, then the origin)
+   * @param {Object} [prefs.center] - Point to circle, which angle, elevation and distance are measured
+   *   from (defaults to the origin)
+   * @param {number} [prefs.roll] - Rotation around the view direction in radians (defaults to 0)
+   * @param {number} [prefs.fov] - Field of view in degrees to zoom to over the same duration
+   * @param {boolean} [prefs.dolly] - Zoom as a dolly zoom (see zoomTo())
+   * @param {number} [prefs.transitionSpeed] - Smoothing factor once the move has finished
+   * @param {number} [prefs.transitionDuration] - Duration of the move in ms
+   * @throws {RangeError} - If fov is not between 0 and 180 degrees
+   */
+  moveTo(prefs) {
+    // Zoom first so an invalid field of view throws before anything has changed
+    if (prefs.fov !== undefined) {
+      this.zoomTo(prefs.fov, { duration: prefs.transitionDuration || 500, dolly: prefs.dolly });
+    }
+    
+    // A requested view takes over from the user, a path or a focus and starts from where they left the camera
+    this.cancelPath('moved');
+    this.focus = null;
+    this.clearPose(prefs.transitionDuration || 500);
+    this.clearUserControl();
+    this.framedShape = null;
+    
+    // Store current values for smooth transition
+    this.transitionStartAngle = this.angle;
+    this.transitionStartElevation = this.elevation;
+    this.transitionStartRoll = this.roll;
+    this.transitionStartDistance = this.currentDistance;
+    this.transitionStartTime = this.time;
+    this.isTransitioning = true;
+    
+    // Set target values
+    this.targetAngle = prefs.angle !== undefined ? prefs.angle : this.angle;
+    this.targetElevation = prefs.elevation !== undefined ? prefs.elevation : this.elevation;
+    this.targetDistance = prefs.distance !== undefined ? prefs.distance : this.config.CAMERA_DISTANCE;
+    this.targetOrbitCenter = prefs.center ? { ...prefs.center } : null;
+    this.targetLookAt = prefs.lookAtPoint || (prefs.center ? null : { x: 0, y: 0, z: 0 });
+    this.targetRoll = prefs.roll !== undefined ? prefs.roll : 0;
+    this.transitionSpeed = prefs.transitionSpeed || 0.05;
+    this.transitionDuration = prefs.transitionDuration || 500;
+    this.restrictToShape = true;
+  }
+  
   /**
    * Reset camera to free movement mode
    */
   resetToFreeMode() {
+    this.cancelPath('moved');
+    this.clearPose();
+    this.focus = null;
+    
     // Store current values for smooth transition
     this.transitionStartAngle = this.angle;
     this.transitionStartElevation = this.elevation;
+    this.transitionStartRoll = this.roll;
     this.transitionStartDistance = this.currentDistance;
-    this.transitionStartTime = Date.now();
+    this.transitionStartTime = this.time;
     this.isTransitioning = true;
     
     this.restrictToShape = false;
@@ -220,6 +1185,114 @@ class Camera {
     this.targetElevation = null;
     this.targetDistance = null;
     this.targetLookAt = null;
+    this.targetOrbitCenter = null;
+  }
+  
+  /**
+   * Capture the camera's motion state
+   * @returns {Object} - JSON-safe camera state
+   */
+  serialize() {
+    return {
+      angle: this.angle,
+      elevation: this.elevation,
+      roll: this.roll,
+      currentDistance: this.currentDistance,
+      time: this.time,
+      lastAngle: this.lastAngle,
+      angularVelocity: this.angularVelocity,
+      targetAngle: this.targetAngle,
+      targetElevation: this.targetElevation,
+      targetDistance: this.targetDistance,
+      targetLookAt: this.targetLookAt ? { ...this.targetLookAt } : null,
+      targetRoll: this.targetRoll,
+      transitionSpeed: this.transitionSpeed,
+      restrictToShape: this.restrictToShape,
+      isTransitioning: this.isTransitioning,
+      transitionStartTime: this.transitionStartTime,
+      transitionDuration: this.transitionDuration,
+      transitionStartAngle: this.transitionStartAngle,
+      transitionStartElevation: this.transitionStartElevation,
+      transitionStartDistance: this.transitionStartDistance,
+      transitionStartRoll: this.transitionStartRoll,
+      userControl: this.userControl,
+      orbitVelocity: { ...this.orbitVelocity },
+      userDistance: this.userDistance,
+      idleTime: this.idleTime,
+      path: this.path ? this.path.toJSON() : null,
+      pathTime: this.pathTime,
+      pose: this.pose ? {
+        position: { ...this.pose.position },
+        orientation: this.pose.orientation.toJSON(),
+        focusDistance: this.pose.focusDistance,
+        fromPosition: { ...this.pose.fromPosition },
+        fromOrientation: this.pose.fromOrientation.toJSON(),
+        startTime: this.pose.startTime,
+        duration: this.pose.duration
+      } : null,
+      orientationBlend: this.orientationBlend ? {
+        from: this.orientationBlend.from.toJSON(),
+        startTime: this.orientationBlend.startTime,
+        duration: this.orientationBlend.duration
+      } : null,
+      orientation: this.orientation.toJSON(),
+      fov: this.fov,
+      zoom: this.zoom ? { ...this.zoom } : null,
+      dolly: this.dolly,
+      orbitCenter: { ...this.orbitCenter },
+      targetOrbitCenter: this.targetOrbitCenter ? { ...this.targetOrbitCenter } : null,
+      // A followed particle cannot be stored; the restored camera holds its last center
+      focus: this.focus ? {
+        center: { ...this.focus.center },
+        offset: { ...this.focus.offset },
+        smoothing: this.focus.smoothing
+      } : null
+    };
+  }
+  
+  /**
+   * Restore a state captured by serialize() and recompute the camera basis
+   * @param {Object} state - Camera state
+   */
+  restore(state) {
+    this.cancelPath('restored');
+    
+    // Paths and rotations are rebuilt below rather than copied
+    const rebuilt = ['path', 'pose', 'orientationBlend', 'orientation', 'orbitCenter', 'focus'];
+    Object.keys(this.serialize()).forEach(key => {
+      if (state[key] !== undefined && !rebuilt.includes(key)) {
+        this[key] = state[key];
+      }
+    });
+    this.path = state.path ? this.createPath(state.path) : null;
+    this.orientation = state.orientation ? Quaternion.from(state.orientation) : new Quaternion();
+    this.pose = state.pose ? {
+      ...state.pose,
+      position: { ...state.pose.position },
+      fromPosition: { ...state.pose.fromPosition },
+      orientation: Quaternion.from(state.pose.orientation),
+      fromOrientation: Quaternion.from(state.pose.fromOrientation),
+      current: Quaternion.from(state.pose.fromOrientation)
+    } : null;
+    this.zoom = state.zoom ? { ...state.zoom } : null;
+    this.orbitCenter = state.orbitCenter ? { ...state.orbitCenter } : { x: 0, y: 0, z: 0 };
+    this.focus = state.focus ? {
+      target: null,
+      center: { ...state.focus.center },
+      offset: { ...state.focus.offset },
+      smoothing: state.focus.smoothing
+    } : null;
+    this.orientationBlend = state.orientationBlend ? {
+      ...state.orientationBlend,
+      from: Quaternion.from(state.orientationBlend.from)
+    } : null;
+    this.targetLookAt = state.targetLookAt ? { ...state.targetLookAt } : null;
+    this.targetOrbitCenter = state.targetOrbitCenter ? { ...state.targetOrbitCenter } : null;
+    this.orbitVelocity = state.orbitVelocity ? { ...state.orbitVelocity } : { angle: 0, elevation: 0 };
+    this.isDragging = false;
+    
+    // A zero-length update derives position and orientation without advancing time
+    this.update(0);
   }
   
   /**
@@ -237,19 +1310,46 @@ class Camera {
     const y_cam = dx * this.up.x + dy * this.up.y + dz * this.up.z;
     const z_cam = dx * this.forward.x + dy * this.forward.y + dz * this.forward.z;
     
-    if (z_cam <= 0) return null; // Behind the camera; skip drawing.
+    // Outside the near and far planes (including behind the camera); skip drawing.
+    const projection = this.projection;
+    if (z_cam < projection.near || z_cam > projection.far) return null;
     
-    const canvas = document.querySelector('canvas'); // Get canvas (this could be passed in)
-    const scale = this.config.FOCAL_LENGTH / z_cam;
+    // Orthographic views use one scale at every depth
+    const scale = projection.orthographic ? projection.scale : projection.focalLength / z_cam;
     
     return {
-      x: canvas.width / 2 + x_cam * scale,
-      y: canvas.height / 2 - y_cam * scale,
+      x: this.viewport.width / 2 + x_cam * scale,
+      y: this.viewport.height / 2 - y_cam * scale,
       scale: scale, // Use this to optionally scale particle size.
       z_cam: z_cam
     };
   }
   
+  /**
+   * Convert screen coordinates back to a world point at a given depth
+   * @param {number} x - Screen X in device pixels
+   * @param {number} y - Screen Y in device pixels
+   * @param {number} [depth] - Distance along the view direction (defaults to the depth of the look-at point)
+   * @returns {Object} - World point with x, y, z coordinates
+   */
+  unprojectPoint(x, y, depth) {
+    if (depth === undefined) {
+      depth = this.getFocusDepth();
+    }
+    
+    // Invert the scale used by projectPoint()
+    const projection = this.projection;
+    const scale = projection.orthographic ? projection.scale : projection.focalLength / depth;
+    const x_cam = (x - this.viewport.width / 2) / scale;
+    const y_cam = (this.viewport.height / 2 - y) / scale;
+    
+    return {
+      x: this.position.x + this.right.x * x_cam + this.up.x * y_cam + this.forward.x * depth,
+      y: this.position.y + this.right.y * x_cam + this.up.y * y_cam + this.forward.y * depth,
+      z: this.position.z + this.right.z * x_cam + this.up.z * y_cam + this.forward.z * depth
+    };
+  }
+  
   /**
    * Get the screen-space right vector for chromatic aberration
    * @returns {Object} - Normalized screen-space right vector
@@ -281,14 +1381,9 @@ class Camera {
    * @returns {Float32Array} The view matrix
    */
   getViewMatrix() {
-    // Compute view matrix using current position and target.
-    // For simplicity, here we compute a "lookAt" matrix (using our Matrix4 helper).
-    const eye = this.position;
-    // Use targetLookAt if set; otherwise look at origin.
-    const center = this.targetLookAt || { x: 0, y: 0, z: 0 };
-    // Flip the Y component of the up vector to match the Canvas 2D coordinate system
-    const up = { x: 0, y: -1, z: 0 };
-    return Matrix4.lookAt(eye, center, up);
+    // Built from the same basis as projectPoint(), so both renderers agree for any
+    // position, look-at point, up vector and roll
+    return Matrix4.fromBasis(this.position, this.right, this.up, this.forward);
   }
   
   /**
@@ -296,13 +1391,39 @@ class Camera {
    * @returns {Float32Array} The projection matrix
    */
   getProjectionMatrix() {
-    const canvas = document.querySelector('canvas');
-    const aspect = canvas.width / canvas.height;
-    const fov = 2 * Math.atan(canvas.height / (2 * this.config.FOCAL_LENGTH));
-    return Matrix4.perspective(fov, aspect, 0.1, 2000.0);
+    const { orthographic, focalLength, scale, near, far } = this.projection;
+    
+    if (orthographic) {
+      const halfWidth = this.viewport.width / 2 / scale;
+      const halfHeight = this.viewport.height / 2 / scale;
+      return Matrix4.orthographic(-halfWidth, halfWidth, -halfHeight, halfHeight, near, far);
+    }
+    
+    const fov = 2 * Math.atan(this.viewport.height / (2 * focalLength));
+    return Matrix4.perspective(fov, this.viewport.aspect, near, far);
+  }
+  
+  /**
+   * Ratio of the focal lengths of two fields of view
+   * @param {number} fromFov - Field of view in degrees
+   * @param {number} toFov - Field of view in degrees
+   * @returns {number} - Focal length at toFov divided by the focal length at fromFov
+   */
+  static focalRatio(fromFov, toFov) {
+    return Math.tan(fromFov * Math.PI / 360) / Math.tan(toFov * Math.PI / 360);
   }
 }
 
+// World direction shown at the top of the screen by default. The scene's y axis
+// points down, like the canvas, so the upright view has world -y at the top.
+Camera.UP = { x: 0, y: -1, z: 0 };
+
+// Fraction of the way to a focused point the orbit center moves per 60 Hz frame
+Camera.FOCUS_SMOOTHING = 0.08;
+
+// Default distance of a camera following a particle
+Camera.FOLLOW_DISTANCE = 250;
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Camera;
@@ -0,0 +1,249 @@
+/**
+ * CameraPath - Keyframed camera fly-through along a spline
+ * Camera positions and look-at points are given as keyframes; the camera
+ * travels through them on a Catmull-Rom spline (or straight lines), each
+ * segment with its own duration and easing. Positions are world coordinates,
+ * so a path can pass through the middle of a shape.
+ */
+class CameraPath {
+  /**
+   * Create a new camera path
+   * @param {Array<Object>} keyframes - At least two keyframes, in travel order
+   * @param {Object} keyframes[].position - Camera position { x, y, z }
+   * @param {Object} [keyframes[].lookAt] - Point to look at (defaults to the previous keyframe's, then the origin)
+   * @param {number} [keyframes[].roll] - Rotation around the view direction in radians (defaults to the previous keyframe's, then 0)
+   * @param {number} [keyframes[].duration] - Time in ms to travel from the previous keyframe
+   *   (on a looping path, the first keyframe's duration is the way back from the last one)
+   * @param {string|Function} [keyframes[].easing] - Easing of the segment ending at this keyframe (defaults to 'linear')
+   * @param {Object} [options] - Path options
+   * @param {boolean} [options.loop] - Return to the first keyframe and start over
+   * @param {string} [options.curve] - 'catmullRom' (smooth, default) or 'linear'
+   * @param {Object} [options.easings] - Easing functions by name (usually AnimationController.transitions)
+   * @throws {TypeError} - If a keyframe, easing name or option is invalid
+   */
+  constructor(keyframes, options = {}) {
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      throw new TypeError('CameraPath: at least two keyframes are needed');
+    }
+
+    const curve = options.curve || 'catmullRom';
+    if (!CameraPath.CURVES.includes(curve)) {
+      throw new TypeError(`CameraPath: curve must be one of ${CameraPath.CURVES.join(', ')}, got ${JSON.stringify(curve)}`);
+    }
+
+    const easings = options.easings || {};
+    let lookAt = { x: 0, y: 0, z: 0 };
+    let roll = 0;
+
+    this.keyframes = keyframes.map((keyframe, i) => {
+      if (!CameraPath.isPoint(keyframe && keyframe.position)) {
+        throw new TypeError(`CameraPath: keyframe ${i} needs a position with numeric x, y and z`);
+      }
+      if (keyframe.lookAt !== undefined && !CameraPath.isPoint(keyframe.lookAt)) {
+        throw new TypeError(`CameraPath: keyframe ${i} lookAt must have numeric x, y and z`);
+      }
+      if (keyframe.roll !== undefined && (typeof keyframe.roll !== 'number' || !isFinite(keyframe.roll))) {
+        throw new TypeError(`CameraPath: keyframe ${i} roll must be a number of radians, got ${keyframe.roll}`);
+      }
+
+      const duration = keyframe.duration !== undefined ? keyframe.duration : CameraPath.DEFAULT_DURATION;
+      if (typeof duration !== 'number' || !isFinite(duration) || duration < 0) {
+        throw new TypeError(`CameraPath: keyframe ${i} duration must be a non-negative number of ms, got ${keyframe.duration}`);
+      }
+
+      const easing = keyframe.easing !== undefined ? keyframe.easing : 'linear';
+      const ease = typeof easing === 'function' ? easing : easing === 'linear' ? CameraPath.linear : easings[easing];
+      if (!ease) {
+        throw new TypeError(`CameraPath: keyframe ${i} uses unknown easing "${easing}"`);
+      }
+
+      lookAt = keyframe.lookAt ? { ...keyframe.lookAt } : lookAt;
+      roll = keyframe.roll !== undefined ? keyframe.roll : roll;
+      return { position: { ...keyframe.position }, lookAt, roll, duration, easing, ease };
+    });
+
+    this.loop = !!options.loop;
+    this.curve = curve;
+
+    // Segment i runs from keyframe i to keyframe i + 1; a loop adds the way back to the first
+    const count = this.loop ? this.keyframes.length : this.keyframes.length - 1;
+    this.segments = [];
+    let start = 0;
+    for (let i = 0; i < count; i++) {
+      const to = (i + 1) % this.keyframes.length;
+      const duration = this.keyframes[to].duration;
+      this.segments.push({ from: i, to, start, duration });
+      start += duration;
+    }
+    this.duration = start;
+  }
+
+  /**
+   * Total time to travel the path once
+   * @returns {number} - Duration in ms
+   */
+  getDuration() {
+    return this.duration;
+  }
+
+  /**
+   * Find the segment and eased progress through it at a point in time
+   * @param {number} time - Time since the start of the path in ms
+   * @returns {Object} - { index, t } segment index and eased progress from 0 to 1
+   */
+  getSegment(time) {
+    if (this.loop && this.duration > 0) {
+      time = ((time % this.duration) + this.duration) % this.duration;
+    }
+
+    const last = this.segments.length - 1;
+    for (let i = 0; i <= last; i++) {
+      const segment = this.segments[i];
+      if (time < segment.start + segment.duration || i === last) {
+        const linear = segment.duration > 0 ? Math.min(Math.max((time - segment.start) / segment.duration, 0), 1) : 1;
+        return { index: i, t: this.keyframes[segment.to].ease(linear) };
+      }
+    }
+  }
+
+  /**
+   * Camera position, look-at point and roll at a point in time
+   * @param {number} time - Time since the start of the path in ms
+   * @returns {Object} - { position, lookAt, roll } world points and roll in radians
+   */
+  sample(time) {
+    const { index, t } = this.getSegment(time);
+    const segment = this.segments[index];
+    const keyframes = this.keyframes;
+    const count = keyframes.length;
+
+    // Roll turns evenly through each segment on either curve
+    const roll = keyframes[segment.from].roll + (keyframes[segment.to].roll - keyframes[segment.from].roll) * t;
+
+    if (this.curve === 'linear') {
+      const a = keyframes[segment.from];
+      const b = keyframes[segment.to];
+      return {
+        position: CameraPath.lerp(a.position, b.position, t),
+        lookAt: CameraPath.lerp(a.lookAt, b.lookAt, t),
+        roll
+      };
+    }
+
+    // Neighbouring keyframes shape the tangents; open ends repeat the end keyframe
+    const neighbour = i => (this.loop ? keyframes[(i + count) % count] : keyframes[Math.min(Math.max(i, 0), count - 1)]);
+    const k0 = neighbour(segment.from - 1);
+    const k1 = keyframes[segment.from];
+    const k2 = keyframes[segment.to];
+    const k3 = neighbour(segment.from + 2);
+
+    return {
+      position: CameraPath.catmullRom(k0.position, k1.position, k2.position, k3.position, t),
+      lookAt: CameraPath.catmullRom(k0.lookAt, k1.lookAt, k2.lookAt, k3.lookAt, t),
+      roll
+    };
+  }
+
+  /**
+   * Describe the path as JSON. Easings given as functions cannot be stored
+   * and fall back to linear.
+   * @returns {Object} - { keyframes, loop, curve } accepted by CameraPath.from()
+   */
+  toJSON() {
+    return {
+      keyframes: this.keyframes.map(keyframe => ({
+        position: { ...keyframe.position },
+        lookAt: { ...keyframe.lookAt },
+        roll: keyframe.roll,
+        duration: keyframe.duration,
+        easing: typeof keyframe.easing === 'string' ? keyframe.easing : 'linear'
+      })),
+      loop: this.loop,
+      curve: this.curve
+    };
+  }
+
+  /**
+   * Create a path from a keyframe array or a { keyframes, loop, curve } definition
+   * @param {CameraPath|Array<Object>|Object} definition - Path, keyframes or path definition
+   * @param {Object} [easings] - Easing functions by name
+   * @returns {CameraPath} - The path
+   * @throws {TypeError} - If the definition is invalid
+   */
+  static from(definition, easings) {
+    if (definition instanceof CameraPath) return definition;
+
+    if (Array.isArray(definition)) {
+      return new CameraPath(definition, { easings });
+    }
+    if (!definition || typeof definition !== 'object') {
+      throw new TypeError('CameraPath: a path needs a keyframes array');
+    }
+    return new CameraPath(definition.keyframes, { loop: definition.loop, curve: definition.curve, easings });
+  }
+
+  /**
+   * Uniform Catmull-Rom interpolation between p1 and p2
+   * @param {Object} p0 - Point before the segment
+   * @param {Object} p1 - Segment start
+   * @param {Object} p2 - Segment end
+   * @param {Object} p3 - Point after the segment
+   * @param {number} t - Progress from 0 to 1
+   * @returns {Object} - Interpolated point
+   */
+  static catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const axis = key => 0.5 * (
+      2 * p1[key] +
+      (p2[key] - p0[key]) * t +
+      (2 * p0[key] - 5 * p1[key] + 4 * p2[key] - p3[key]) * t2 +
+      (3 * p1[key] - p0[key] - 3 * p2[key] + p3[key]) * t3
+    );
+    return { x: axis('x'), y: axis('y'), z: axis('z') };
+  }
+
+  /**
+   * Linear interpolation between two points
+   * @param {Object} a - Start point
+   * @param {Object} b - End point
+   * @param {number} t - Progress from 0 to 1
+   * @returns {Object} - Interpolated point
+   */
+  static lerp(a, b, t) {
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: a.z + (b.z - a.z) * t
+    };
+  }
+
+  /**
+   * Linear easing, available without an easing map
+   * @param {number} t - Progress from 0 to 1
+   * @returns {number} - The same progress
+   */
+  static linear(t) {
+    return t;
+  }
+
+  /**
+   * Check for a point with finite x, y and z
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for points
+   */
+  static isPoint(value) {
+    return !!value && typeof value === 'object' && ['x', 'y', 'z'].every(key => typeof value[key] === 'number' && isFinite(value[key]));
+  }
+}
+
+// Curves a path can follow
+CameraPath.CURVES = ['catmullRom', 'linear'];
+
+// Travel time of a segment whose keyframe gives no duration, in ms
+CameraPath.DEFAULT_DURATION = 2000;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CameraPath;
+}
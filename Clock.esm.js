@@ -0,0 +1,96 @@
+/**
+ * Clock - Drives the simulation with delta time
+ * Converts wall-clock frames into simulation steps, optionally at a fixed timestep,
+ * so motion looks the same regardless of display refresh rate
+ */
+class Clock {
+  /**
+   * Create a new clock
+   * @param {Object} options - Clock options
+   * @param {Function} [options.now] - Time source in milliseconds (defaults to performance.now)
+   * @param {number|null} [options.fixedTimestep] - Step size in ms, or null for variable steps
+   * @param {number} [options.maxDelta] - Largest frame delta in ms (avoids jumps after a stalled tab)
+   * @param {number} [options.timeScale] - Simulation speed multiplier (1 = real time)
+   */
+  constructor(options = {}) {
+    this.now = options.now || Clock.defaultNow;
+    this.fixedTimestep = options.fixedTimestep || null;
+    this.maxDelta = options.maxDelta || 100;
+    this.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+    this.paused = false;
+
+    this.time = 0;           // Simulation time in ms
+    this.lastTime = null;    // Time source reading of the previous tick
+    this.frameDelta = 0;     // Wall-clock delta of the previous tick
+    this.accumulator = 0;    // Unsimulated time carried over between fixed steps
+  }
+
+  /**
+   * Default time source
+   * @returns {number} - Current time in milliseconds
+   */
+  static defaultNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Forget the previous tick so the next frame does not see the time spent stopped
+   */
+  reset() {
+    this.lastTime = null;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Advance the clock to the current time
+   * @returns {Array<number>} - Simulation step durations (ms) to run this frame
+   */
+  tick() {
+    const now = this.now();
+    const delta = this.lastTime === null ? 0 : Math.min(Math.max(now - this.lastTime, 0), this.maxDelta);
+    this.lastTime = now;
+    this.frameDelta = delta;
+
+    // Wall time keeps passing while paused, but simulation time does not
+    if (this.paused) return [];
+
+    return this.split(delta * this.timeScale);
+  }
+
+  /**
+   * Advance simulation time by an explicit amount, ignoring pause and time scale
+   * @param {number} [delta] - Duration in ms (defaults to one timestep)
+   * @returns {Array<number>} - Simulation step durations (ms) to run
+   */
+  step(delta = this.fixedTimestep || Clock.REFERENCE_FRAME) {
+    return this.split(delta);
+  }
+
+  /**
+   * Split a duration into simulation steps and advance simulation time
+   * @param {number} delta - Duration in ms
+   * @returns {Array<number>} - Step durations in ms
+   */
+  split(delta) {
+    if (!this.fixedTimestep) {
+      this.time += delta;
+      return [delta];
+    }
+
+    const steps = [];
+    this.accumulator += delta;
+    while (this.accumulator >= this.fixedTimestep) {
+      steps.push(this.fixedTimestep);
+      this.accumulator -= this.fixedTimestep;
+      this.time += this.fixedTimestep;
+    }
+    return steps;
+  }
+}
+
+// Duration of one frame at 60 Hz; per-frame speeds in the config are tuned to it
+Clock.REFERENCE_FRAME = 1000 / 60;
+
+// Export for module usage
+
+export default Clock;
\ No newline at end of file
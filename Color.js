@@ -0,0 +1,113 @@
+/**
+ * Color - Parses CSS color strings for the renderers
+ * Lets config colors be changed at runtime and used by both Canvas 2D and WebGL
+ */
+class Color {
+  /**
+   * Parse a CSS color into channels
+   * Supports #rgb, #rgba, #rrggbb, #rrggbbaa, rgb() and rgba(); named colors
+   * are resolved through a 2D context when a document is available
+   * @param {string} color - CSS color string
+   * @returns {Object|null} - { r, g, b } from 0 to 255 and a from 0 to 1, or null if unparseable
+   */
+  static parse(color) {
+    if (typeof color !== 'string') return null;
+
+    // Parsing runs every frame, so remember results per color string
+    if (Color.cache.has(color)) {
+      return Color.cache.get(color);
+    }
+
+    const parsed = Color.parseHex(color) || Color.parseRgb(color) || Color.parseNamed(color);
+    Color.cache.set(color, parsed);
+    return parsed;
+  }
+
+  /**
+   * Parse a hex color
+   * @param {string} color - Color such as '#111' or '#ff8800cc'
+   * @returns {Object|null} - Parsed channels or null
+   */
+  static parseHex(color) {
+    const match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color.trim());
+    if (!match) return null;
+
+    let hex = match[1];
+    if (hex.length <= 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  /**
+   * Parse an rgb() or rgba() color
+   * @param {string} color - Color such as 'rgb(255, 0, 0)' or 'rgba(0,0,0,0.5)'
+   * @returns {Object|null} - Parsed channels or null
+   */
+  static parseRgb(color) {
+    const match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i.exec(color.trim());
+    if (!match) return null;
+
+    let a = 1;
+    if (match[4] !== undefined) {
+      a = match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+    }
+
+    return {
+      r: Math.min(255, parseFloat(match[1])),
+      g: Math.min(255, parseFloat(match[2])),
+      b: Math.min(255, parseFloat(match[3])),
+      a: Math.min(1, a)
+    };
+  }
+
+  /**
+   * Resolve a named color (e.g. 'white') by letting a 2D context normalize it
+   * @param {string} color - CSS color name
+   * @returns {Object|null} - Parsed channels or null
+   */
+  static parseNamed(color) {
+    if (typeof document === 'undefined') return null;
+
+    const ctx = document.createElement('canvas').getContext('2d');
+    if (!ctx) return null;
+
+    // An invalid color leaves fillStyle unchanged, so test against two sentinels
+    ctx.fillStyle = '#000';
+    ctx.fillStyle = color;
+    const first = ctx.fillStyle;
+    ctx.fillStyle = '#fff';
+    ctx.fillStyle = color;
+    if (ctx.fillStyle !== first) return null;
+
+    return Color.parseHex(first) || Color.parseRgb(first);
+  }
+
+  /**
+   * Format a color as an rgba() string with an extra alpha multiplier
+   * @param {string} color - CSS color string
+   * @param {number} alpha - Opacity to multiply into the color's own alpha
+   * @returns {string} - rgba() string (white if the color cannot be parsed)
+   */
+  static toRgba(color, alpha = 1) {
+    const c = Color.parse(color) || Color.WHITE;
+    return `rgba(${c.r},${c.g},${c.b},${c.a * alpha})`;
+  }
+}
+
+// Parsed colors keyed by their CSS string
+Color.cache = new Map();
+
+// Fallback for colors that cannot be parsed
+Color.WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Color;
+}
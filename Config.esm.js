@@ -7,49 +7,11 @@ class Config {
    * Create a new configuration object
    * @param {Object} customConfig - Custom configuration options
    * @returns {Object} - Merged configuration object
+   * @throws {TypeError|RangeError} - If a value does not match Config.schema
    */
   constructor(customConfig = {}) {
     // Default configuration
-    this.defaults = {
-      // Particle parameters
-      PARTICLE_COUNT: 300,
-      PARTICLE_SIZE: 3,         // Base size of each particle
-      PARTICLE_SPEED: 0.5,      // Maximum absolute speed in any direction
-      BOUND: 800,               // Particles exist within a cube from -BOUND to +BOUND
-      CONNECTION_DISTANCE: 300, // If two particles are closer than this (in world units), draw a connection
-      SCROLL_VELOCITY_FACTOR: 0.01, // How much scrolling affects particle velocity
-      
-      // Spatial grid settings
-      GRID_CELL_SIZE: null,     // Size of each cell in the spatial grid (null = use CONNECTION_DISTANCE)
-      
-      // Camera and projection
-      CAMERA_DISTANCE: 500,     // Distance of the camera from (0,0,0)
-      FOCAL_LENGTH: 800,        // Focal length for perspective projection
-      FOG_START: 500,           // Distance at which fog starts
-      FOG_END: 1000,            // Distance at which fog is fully opaque
-      AUTO_ROTATION_SPEED: 0.0005, // Base speed for automatic rotation
-      ROTATION_PERIOD: 10000,   // Time for a full rotation cycle in ms
-      SHAPE_SPECIFIC_CAMERA: true, // Whether to use shape-specific camera angles
-      
-      // Colors and effects
-      BACKGROUND_COLOR: '#111',
-      PARTICLE_COLOR: '#fff',
-      CHROMATIC_OFFSET: 1,      // Base pixel offset for chromatic aberration
-      CHROMATIC_STRENGTH: 0.7,  // Base opacity of the chromatic effect (0-1)
-      CHROMATIC_DISTANCE_FACTOR: 0.006, // How much distance affects chromatic aberration
-      CHROMATIC_VELOCITY_FACTOR: 3,  // How much camera velocity affects chromatic aberration
-      
-      // Animation settings
-      DEFAULT_TRANSITION_DURATION: 1000, // Default duration for shape transitions in ms
-      DEFAULT_TRANSITION_TYPE: 'easeInOut', // Default easing function for transitions
-      
-      // Shape settings
-      DEFAULT_SHAPE: 'random',  // Default shape to use
-      
-      // Advanced settings
-      VELOCITY_DECAY: 0.98,     // Rate at which velocities decay
-      VELOCITY_SMOOTHING: 0.1   // Smoothing factor for velocity changes
-    };
+    this.defaults = { ...Config.defaults };
     
     // Merge custom config with defaults
     return this.merge(customConfig);
@@ -64,13 +26,21 @@ class Config {
     // Create a new object with defaults
     const merged = { ...this.defaults };
     
-    // Merge in custom values
+    // Layer the named preset between the defaults and the custom values
+    if (customConfig.preset !== undefined && customConfig.preset !== null) {
+      Object.assign(merged, Config.getPreset(customConfig.preset));
+    }
+    
+    // Merge in custom values (undefined keeps the default)
     for (const key in customConfig) {
-      if (customConfig.hasOwnProperty(key)) {
+      if (customConfig.hasOwnProperty(key) && customConfig[key] !== undefined) {
         merged[key] = customConfig[key];
       }
     }
     
+    // Catch typos and wrong types before they turn into a blank canvas
+    Config.validate(merged, customConfig);
+    
     // Set GRID_CELL_SIZE to CONNECTION_DISTANCE if not specified
     if (merged.GRID_CELL_SIZE === null) {
       merged.GRID_CELL_SIZE = merged.CONNECTION_DISTANCE;
@@ -78,8 +48,453 @@ class Config {
     
     return merged;
   }
+  
+  /**
+   * Check configuration values against Config.schema
+   * Throws TypeError for values of the wrong type and RangeError for values outside
+   * their range; warns about unknown keys and unregistered easing or shape names
+   * @param {Object} config - Configuration values to check
+   * @param {Object} [customConfig] - Caller-supplied options, checked for unknown keys
+   */
+  static validate(config, customConfig = config) {
+    for (const key in customConfig) {
+      if (customConfig.hasOwnProperty(key) && !Config.schema[key]) {
+        const suggestion = Config.suggest(key);
+        Config.warnOnce(`Config: unknown option "${key}"` + (suggestion ? `, did you mean "${suggestion}"?` : ''));
+      }
+    }
+    
+    for (const key in Config.schema) {
+      if (key in config) {
+        Config.validateValue(key, config[key]);
+      }
+    }
+  }
+  
+  /**
+   * Check a single configuration value against its schema entry
+   * @param {string} key - Option name
+   * @param {*} value - Value to check
+   */
+  static validateValue(key, value) {
+    const rule = Config.schema[key];
+    if (value === null && rule.nullable) return;
+    
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    if (!types.some(type => Config.isType(value, type))) {
+      const received = value === null || value === undefined ? String(value) : `${typeof value} ${JSON.stringify(value)}`;
+      throw new TypeError(`Config: ${key} must be ${types.map(Config.describeType).join(' or ')}${rule.nullable ? ' or null' : ''}, got ${received}`);
+    }
+    
+    if (typeof value === 'number') {
+      if (rule.min !== undefined && value < rule.min) {
+        throw new RangeError(`Config: ${key} must be at least ${rule.min}, got ${value}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        throw new RangeError(`Config: ${key} must be at most ${rule.max}, got ${value}`);
+      }
+    }
+    
+    if (rule.items) {
+      const invalid = value.filter(item => !rule.items.includes(item));
+      if (invalid.length > 0) {
+        const allowed = rule.items.map(v => `'${v}'`).join(', ');
+        throw new RangeError(`Config: ${key} may only contain ${allowed}, got ${invalid.map(v => JSON.stringify(v)).join(', ')}`);
+      }
+    }
+    
+    if (rule.values && !rule.values.includes(value)) {
+      const allowed = rule.values.map(v => `'${v}'`).join(', ');
+      
+      // Easing and shape names can be registered at runtime, so only warn for those
+      if (rule.extensible) {
+        Config.warnOnce(`Config: ${key} '${value}' is not built in (${allowed}); make sure it is registered`);
+      } else {
+        throw new RangeError(`Config: ${key} must be one of ${allowed}, got '${value}'`);
+      }
+    }
+  }
+  
+  /**
+   * Check whether a value matches a schema type
+   * @param {*} value - Value to check
+   * @param {string} type - 'number', 'integer', 'boolean', 'string', 'color', 'element' or 'array'
+   * @returns {boolean} - True if the value matches
+   */
+  static isType(value, type) {
+    switch (type) {
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'string':
+        return typeof value === 'string';
+      case 'color':
+        return typeof value === 'string' && (typeof Color === 'undefined' || Color.parse(value) !== null);
+      case 'element':
+        return !!value && typeof value.addEventListener === 'function';
+      case 'array':
+        return Array.isArray(value);
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Describe a schema type for error messages
+   * @param {string} type - Schema type
+   * @returns {string} - Human-readable description
+   */
+  static describeType(type) {
+    switch (type) {
+      case 'integer': return 'an integer';
+      case 'color': return 'a CSS color string';
+      case 'element': return 'a DOM element';
+      case 'array': return 'an array';
+      default: return `a ${type}`;
+    }
+  }
+  
+  /**
+   * Find the known option closest to a misspelled key
+   * @param {string} key - Unknown option name
+   * @returns {string|null} - Closest option name, or null if none is close
+   */
+  static suggest(key) {
+    const normalized = key.toUpperCase();
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const candidate in Config.schema) {
+      const distance = Config.editDistance(normalized, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    
+    // Only suggest names within a few edits, relative to the key's length
+    return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+  }
+  
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of single-character edits
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    
+    return previous[b.length];
+  }
+  
+  /**
+   * Log a warning once per page, so repeated setConfig() calls do not flood the console
+   * @param {string} message - Warning message
+   */
+  static warnOnce(message) {
+    if (Config.warnings.has(message)) return;
+    Config.warnings.add(message);
+    console.warn(message);
+  }
+  
+  /**
+   * Look up a registered preset
+   * @param {string} name - Preset name
+   * @returns {Object} - Option values of the preset
+   * @throws {RangeError} - If no preset with that name is registered
+   */
+  static getPreset(name) {
+    if (!Config.presets.hasOwnProperty(name)) {
+      const available = Object.keys(Config.presets).map(n => `'${n}'`).join(', ');
+      throw new RangeError(`Config: unknown preset '${name}', expected one of ${available}`);
+    }
+    return Config.presets[name];
+  }
+  
+  /**
+   * Register a named preset that configurations can layer overrides on
+   * @param {string} name - Preset name (replaces an existing preset with the same name)
+   * @param {Object} values - Option values, checked against Config.schema
+   * @throws {TypeError|RangeError} - If the name or a value is invalid
+   */
+  static registerPreset(name, values) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError(`Config: preset name must be a non-empty string, got ${JSON.stringify(name)}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new TypeError(`Config: preset '${name}' must be an object of option values`);
+    }
+    if ('preset' in values) {
+      throw new TypeError(`Config: preset '${name}' cannot itself set a preset`);
+    }
+    
+    Config.validate(values);
+    Config.presets[name] = { ...values };
+  }
+  
+  /**
+   * List every option with its default and schema, e.g. to build a settings UI
+   * @returns {Array<Object>} - Entries of { key, default, type, description, ... } in schema order
+   */
+  static describe() {
+    return Object.keys(Config.schema).map(key => {
+      const entry = { key, default: Config.defaults[key], ...Config.schema[key] };
+      if (key === 'preset') {
+        // Presets can be registered at runtime, so list the current ones
+        entry.values = Object.keys(Config.presets);
+      } else if (entry.values) {
+        entry.values = entry.values.slice();
+      }
+      if (entry.items) {
+        entry.items = entry.items.slice();
+      }
+      return entry;
+    });
+  }
 }
 
+// Default configuration
+Config.defaults = {
+  preset: null,             // Named preset from Config.presets to layer custom options on
+  
+  // Particle parameters
+  PARTICLE_COUNT: 300,
+  PARTICLE_SIZE: 3,         // Base size of each particle
+  PARTICLE_SPEED: 0.5,      // Maximum absolute speed in any direction
+  BOUND: 800,               // Particles exist within a cube from -BOUND to +BOUND
+  CONNECTION_DISTANCE: 300, // If two particles are closer than this (in world units), draw a connection
+  SCROLL_VELOCITY_FACTOR: 0.01, // How much scrolling affects particle velocity
+  SEED: null,               // Seed for reproducible particle layouts and shapes (null = random each load)
+  INPUT_TARGET: null,       // Element that receives input (null = the canvas's parent element)
+  INPUT_SOURCES: ['wheel', 'touch'], // Input that drives the particle flow: 'wheel', 'scroll', 'touch', 'keyboard' ([] = none)
+  WHEEL_PREVENT_DEFAULT: false, // Stop wheel events from scrolling the page
+  
+  // Pointer forces
+  POINTER_FORCE_MODE: 'none', // 'none', 'repel', 'attract' or 'vortex' (swirl around the pointer)
+  POINTER_FORCE_RADIUS: 200,  // World distance from the pointer within which particles are affected
+  POINTER_FORCE_STRENGTH: 0.5, // Velocity added per frame to a particle right at the pointer
+  POINTER_FORCE_FALLOFF: 1,   // How the force fades toward the radius (0 = constant, 1 = linear, 2 = quadratic)
+  
+  // Picking
+  PICKING: false,           // Emit particlehover, particleleave and particleclick events
+  PICK_TOLERANCE: 4,        // Extra hit radius around each particle in CSS pixels
+  HIGHLIGHT_COLOR: null,    // Color of the hovered particle and its connections (null = no highlight)
+  HIGHLIGHT_SCALE: 1.5,     // Size multiplier of the hovered particle
+  
+  // Orbit controls
+  ORBIT_CONTROLS: false,    // Drag to turn the camera, wheel or pinch to zoom
+  ORBIT_ROTATE_SPEED: 0.005, // Radians turned per CSS pixel dragged
+  ORBIT_ZOOM_SPEED: 0.001,  // Zoom per wheel pixel (distance is scaled by e^(deltaY * speed))
+  ORBIT_MIN_DISTANCE: 200,  // Closest zoom distance
+  ORBIT_MAX_DISTANCE: 1500, // Farthest zoom distance
+  ORBIT_MAX_ELEVATION: 1.4, // Largest elevation above or below the horizon in radians
+  ORBIT_INERTIA: 0.92,      // Fraction of rotation speed kept per frame after a drag (0 = none)
+  ORBIT_IDLE_TIMEOUT: 3000, // Time in ms after the last input before auto-rotation resumes (null = never)
+  
+  // Canvas sizing
+  SIZING: 'auto',           // 'window', 'container' (track the canvas's parent) or 'auto' (container when the mesh created the canvas)
+  PIXEL_RATIO: null,        // Render pixel ratio (null = window.devicePixelRatio)
+  MAX_PIXEL_RATIO: 2,       // Upper bound for the render pixel ratio
+  
+  // Spatial grid settings
+  GRID_CELL_SIZE: null,     // Size of each cell in the spatial grid (null = use CONNECTION_DISTANCE)
+  
+  // Camera and projection
+  CAMERA_DISTANCE: 500,     // Distance of the camera from (0,0,0)
+  FOCAL_LENGTH: 800,        // Focal length for perspective projection
+  PROJECTION: 'perspective', // 'perspective' or 'orthographic'
+  FOV: null,                // Vertical field of view in degrees (null = from FOCAL_LENGTH)
+  NEAR: 0.1,                // Near clipping plane
+  FAR: null,                // Far clipping plane (null = just past the far side of BOUND)
+  ORTHO_HEIGHT: null,       // World height shown by orthographic views (null = match perspective at the look-at point)
+  FOG_START: 500,           // Distance at which fog starts
+  FOG_END: 1000,            // Distance at which fog is fully opaque
+  AUTO_ROTATION_SPEED: 0.0005, // Base speed for automatic rotation
+  ROTATION_PERIOD: 10000,   // Time for a full rotation cycle in ms
+  SHAPE_SPECIFIC_CAMERA: true, // Whether to use shape-specific camera angles
+  CAMERA_AUTO_FRAME: true,  // Fit shapes whose camera preferences leave the distance open
+  CAMERA_FRAME_PADDING: 1.1, // Margin around framed shapes as a factor of their size
+  
+  // Rendering
+  USE_WEBGL: true,          // Render with WebGL (falls back to Canvas 2D when unavailable)
+  SHOW_CONNECTIONS: true,   // Whether to draw connections between nearby particles
+  
+  // Colors and effects
+  BACKGROUND_COLOR: '#111',
+  PARTICLE_COLOR: '#fff',
+  CHROMATIC_OFFSET: 1,      // Base pixel offset for chromatic aberration
+  CHROMATIC_STRENGTH: 0.7,  // Base opacity of the chromatic effect (0-1)
+  CHROMATIC_DISTANCE_FACTOR: 0.006, // How much distance affects chromatic aberration
+  CHROMATIC_VELOCITY_FACTOR: 3,  // How much camera velocity affects chromatic aberration
+  
+  // Animation settings
+  DEFAULT_TRANSITION_DURATION: 1000, // Default duration for shape transitions in ms
+  DEFAULT_TRANSITION_TYPE: 'easeInOut', // Default easing function for transitions
+  
+  // Shape settings
+  DEFAULT_SHAPE: 'random',  // Default shape to use
+  
+  // Timing
+  FIXED_TIMESTEP: null,     // Simulation step in ms (e.g. 1000 / 60), or null for variable steps
+  MAX_FRAME_DELTA: 100,     // Largest frame delta in ms fed to the simulation
+  
+  // Advanced settings
+  VELOCITY_DECAY: 0.98,     // Rate at which velocities decay
+  VELOCITY_SMOOTHING: 0.1   // Smoothing factor for velocity changes
+};
+
+// Declarative description of every option, used for validation and Config.describe()
+Config.schema = {
+  preset: { type: 'string', nullable: true, description: 'Named preset the other options are layered on' },
+  
+  PARTICLE_COUNT: { type: 'integer', min: 0, description: 'Number of particles' },
+  PARTICLE_SIZE: { type: 'number', min: 0, description: 'Base size of each particle' },
+  PARTICLE_SPEED: { type: 'number', min: 0, description: 'Maximum absolute speed in any direction' },
+  BOUND: { type: 'number', min: 1, description: 'Half the edge length of the cube particles live in' },
+  CONNECTION_DISTANCE: { type: 'number', min: 0, description: 'Largest world distance between connected particles' },
+  SCROLL_VELOCITY_FACTOR: { type: 'number', description: 'How much scrolling affects particle velocity' },
+  SEED: { type: ['number', 'string'], nullable: true, description: 'Seed for reproducible layouts (null = random each load)' },
+  INPUT_TARGET: { type: 'element', nullable: true, description: 'Element that receives input (null = the canvas\'s parent)' },
+  INPUT_SOURCES: { type: 'array', items: ['wheel', 'scroll', 'touch', 'keyboard'], description: 'Input that drives the particle flow ([] = none)' },
+  WHEEL_PREVENT_DEFAULT: { type: 'boolean', description: 'Stop wheel events from scrolling the page' },
+  
+  POINTER_FORCE_MODE: { type: 'string', values: ['none', 'repel', 'attract', 'vortex'], description: 'How particles react to the pointer' },
+  POINTER_FORCE_RADIUS: { type: 'number', min: 0, description: 'World distance from the pointer within which particles are affected' },
+  POINTER_FORCE_STRENGTH: { type: 'number', min: 0, description: 'Velocity added per frame at the pointer' },
+  POINTER_FORCE_FALLOFF: { type: 'number', min: 0, description: 'Exponent of the fade toward the radius (0 = constant)' },
+  
+  PICKING: { type: 'boolean', description: 'Emit hover and click events for individual particles' },
+  PICK_TOLERANCE: { type: 'number', min: 0, description: 'Extra hit radius around each particle in CSS pixels' },
+  HIGHLIGHT_COLOR: { type: 'color', nullable: true, description: 'Color of the hovered particle and its connections (null = none)' },
+  HIGHLIGHT_SCALE: { type: 'number', min: 0, description: 'Size multiplier of the hovered particle' },
+  
+  ORBIT_CONTROLS: { type: 'boolean', description: 'Drag to turn the camera, wheel or pinch to zoom' },
+  ORBIT_ROTATE_SPEED: { type: 'number', min: 0, description: 'Radians turned per CSS pixel dragged' },
+  ORBIT_ZOOM_SPEED: { type: 'number', min: 0, description: 'Zoom per wheel pixel' },
+  ORBIT_MIN_DISTANCE: { type: 'number', min: 0, description: 'Closest zoom distance' },
+  ORBIT_MAX_DISTANCE: { type: 'number', min: 0, description: 'Farthest zoom distance' },
+  ORBIT_MAX_ELEVATION: { type: 'number', min: 0, max: 1.55, description: 'Largest elevation above or below the horizon in radians' },
+  ORBIT_INERTIA: { type: 'number', min: 0, max: 0.999, description: 'Fraction of rotation speed kept per frame after a drag' },
+  ORBIT_IDLE_TIMEOUT: { type: 'number', min: 0, nullable: true, description: 'Time in ms before auto-rotation resumes (null = never)' },
+  
+  SIZING: { type: 'string', values: ['auto', 'window', 'container'], description: 'What the canvas is sized to' },
+  PIXEL_RATIO: { type: 'number', min: 0.1, nullable: true, description: 'Render pixel ratio (null = window.devicePixelRatio)' },
+  MAX_PIXEL_RATIO: { type: 'number', min: 0.1, nullable: true, description: 'Upper bound for the render pixel ratio' },
+  
+  GRID_CELL_SIZE: { type: 'number', min: 1, nullable: true, description: 'Spatial grid cell size (null = CONNECTION_DISTANCE)' },
+  
+  CAMERA_DISTANCE: { type: 'number', min: 0, description: 'Distance of the camera from the origin' },
+  FOCAL_LENGTH: { type: 'number', min: 1, description: 'Focal length for perspective projection' },
+  PROJECTION: { type: 'string', values: ['perspective', 'orthographic'], description: 'Perspective or orthographic projection' },
+  FOV: { type: 'number', min: 1, max: 179, nullable: true, description: 'Vertical field of view in degrees (null = from FOCAL_LENGTH)' },
+  NEAR: { type: 'number', min: 0.001, description: 'Near clipping plane' },
+  FAR: { type: 'number', min: 1, nullable: true, description: 'Far clipping plane (null = just past the far side of BOUND)' },
+  ORTHO_HEIGHT: { type: 'number', min: 1, nullable: true, description: 'World height shown by orthographic views (null = match perspective)' },
+  FOG_START: { type: 'number', min: 0, description: 'Distance at which fog starts' },
+  FOG_END: { type: 'number', min: 0, description: 'Distance at which fog is fully opaque' },
+  AUTO_ROTATION_SPEED: { type: 'number', description: 'Base speed for automatic rotation' },
+  ROTATION_PERIOD: { type: 'number', min: 1, description: 'Time for a full rotation cycle in ms' },
+  SHAPE_SPECIFIC_CAMERA: { type: 'boolean', description: 'Whether shapes may set camera angles' },
+  CAMERA_AUTO_FRAME: { type: 'boolean', description: 'Fit shapes whose camera preferences leave the distance open' },
+  CAMERA_FRAME_PADDING: { type: 'number', min: 0.1, description: 'Margin around framed shapes as a factor of their size' },
+  
+  USE_WEBGL: { type: 'boolean', description: 'Render with WebGL instead of Canvas 2D' },
+  SHOW_CONNECTIONS: { type: 'boolean', description: 'Whether to draw connections' },
+  
+  BACKGROUND_COLOR: { type: 'color', description: 'Canvas background color' },
+  PARTICLE_COLOR: { type: 'color', description: 'Color of particles and connections' },
+  CHROMATIC_OFFSET: { type: 'number', min: 0, description: 'Base pixel offset for chromatic aberration' },
+  CHROMATIC_STRENGTH: { type: 'number', min: 0, max: 1, description: 'Opacity of the chromatic effect' },
+  CHROMATIC_DISTANCE_FACTOR: { type: 'number', min: 0, description: 'How much distance affects chromatic aberration' },
+  CHROMATIC_VELOCITY_FACTOR: { type: 'number', min: 0, description: 'How much camera velocity affects chromatic aberration' },
+  
+  DEFAULT_TRANSITION_DURATION: { type: 'number', min: 0, description: 'Default duration for shape transitions in ms' },
+  DEFAULT_TRANSITION_TYPE: {
+    type: 'string',
+    values: ['linear', 'easeInOut', 'easeIn', 'easeOut', 'spring', 'bounce', 'elastic'],
+    extensible: true,
+    description: 'Default easing function for transitions'
+  },
+  
+  DEFAULT_SHAPE: {
+    type: 'string',
+    values: ['random', 'sphere', 'iris', 'torus', 'cube', 'plane', 'spiral'],
+    extensible: true,
+    description: 'Default shape to use'
+  },
+  
+  FIXED_TIMESTEP: { type: 'number', min: 1, nullable: true, description: 'Simulation step in ms (null = variable steps)' },
+  MAX_FRAME_DELTA: { type: 'number', min: 1, description: 'Largest frame delta in ms fed to the simulation' },
+  
+  VELOCITY_DECAY: { type: 'number', min: 0, max: 1, description: 'Rate at which velocities decay' },
+  VELOCITY_SMOOTHING: { type: 'number', min: 0, max: 1, description: 'Smoothing factor for velocity changes' }
+};
+
+// Built-in looks; register more with Config.registerPreset()
+Config.presets = {
+  // Dark particles on a light page, no chromatic aberration
+  minimal: {
+    BACKGROUND_COLOR: '#f5f5f5',
+    PARTICLE_COLOR: '#222',
+    PARTICLE_SIZE: 2,
+    CHROMATIC_OFFSET: 0,
+    CHROMATIC_STRENGTH: 0,
+    CONNECTION_DISTANCE: 220
+  },
+  
+  // Glowing magenta on near-black with strong chromatic aberration
+  neon: {
+    BACKGROUND_COLOR: '#07020f',
+    PARTICLE_COLOR: '#ff4df2',
+    PARTICLE_SIZE: 3.5,
+    CHROMATIC_OFFSET: 2.5,
+    CHROMATIC_STRENGTH: 0.9,
+    CHROMATIC_VELOCITY_FACTOR: 5,
+    FOG_START: 600,
+    FOG_END: 1400
+  },
+  
+  // Slow drift and long transitions in soft blue
+  calm: {
+    BACKGROUND_COLOR: '#0d1b2a',
+    PARTICLE_COLOR: '#cfe8ff',
+    PARTICLE_SPEED: 0.15,
+    AUTO_ROTATION_SPEED: 0.0002,
+    ROTATION_PERIOD: 20000,
+    CHROMATIC_OFFSET: 0.5,
+    CHROMATIC_STRENGTH: 0.3,
+    DEFAULT_TRANSITION_DURATION: 2500,
+    VELOCITY_DECAY: 0.99
+  },
+  
+  // Many small particles with short connections
+  dense: {
+    PARTICLE_COUNT: 800,
+    PARTICLE_SIZE: 2,
+    BOUND: 700,
+    CONNECTION_DISTANCE: 160,
+    FOG_START: 400,
+    FOG_END: 900,
+    CHROMATIC_STRENGTH: 0.5
+  }
+};
+
+// Warnings already logged by Config.warnOnce()
+Config.warnings = new Set();
+
 // Export for browser usage
 
 export default Config;
\ No newline at end of file
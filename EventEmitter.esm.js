@@ -0,0 +1,94 @@
+/**
+ * EventEmitter - Minimal publish/subscribe helper for mesh events
+ * Lets UI code react to lifecycle, transition and frame events
+ */
+class EventEmitter {
+  /**
+   * Create a new event emitter
+   */
+  constructor() {
+    this.listeners = {}; // Maps event names to arrays of listener functions
+  }
+
+  /**
+   * Register a listener for an event
+   * @param {string} event - Name of the event
+   * @param {Function} listener - Function called with the event payload
+   * @returns {EventEmitter} - This instance for chaining
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener, or every listener for the event if none is given
+   * @param {string} event - Name of the event
+   * @param {Function} [listener] - Listener to remove
+   * @returns {EventEmitter} - This instance for chaining
+   */
+  off(event, listener) {
+    if (!this.listeners[event]) return this;
+
+    if (listener) {
+      // Match both direct listeners and wrappers created by once()
+      this.listeners[event] = this.listeners[event].filter(
+        fn => fn !== listener && fn.listener !== listener
+      );
+    } else {
+      delete this.listeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} event - Name of the event
+   * @param {Function} listener - Function called with the event payload
+   * @returns {EventEmitter} - This instance for chaining
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Call every listener registered for an event
+   * @param {string} event - Name of the event
+   * @param {Object} [payload] - Data passed to each listener
+   * @returns {boolean} - True if the event had listeners
+   */
+  emit(event, payload = {}) {
+    const listeners = this.listeners[event];
+    if (!listeners || listeners.length === 0) return false;
+
+    // Copy so listeners can unsubscribe while the event is dispatched
+    listeners.slice().forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        // A failing listener must not break the animation loop
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Remove every listener for every event
+   */
+  clear() {
+    this.listeners = {};
+  }
+}
+
+// Export for module usage
+
+export default EventEmitter;
\ No newline at end of file
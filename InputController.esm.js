@@ -0,0 +1,347 @@
+/**
+ * InputController - Turns user input into particle flow
+ * Listens to the sources named in INPUT_SOURCES (wheel, native scroll, touch
+ * drag and keyboard) and feeds each vertical movement into the mesh's global
+ * and scroll velocities. Wheel events only block page scrolling when
+ * WHEEL_PREVENT_DEFAULT is set. Also tracks the pointer over the canvas for
+ * pointer forces and particle picking, and with ORBIT_CONTROLS turns drags
+ * into camera rotation and wheel or pinch gestures into zoom.
+ */
+class InputController {
+  /**
+   * Create a new input controller
+   * @param {Particle3DMesh} mesh - Mesh whose velocities the input drives
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.target = null;
+    this.listeners = [];     // [target, event, handler] triples registered by attach()
+
+    this.touchY = null;      // Last touch position while dragging
+    this.scrollTop = null;   // Last scroll offset seen by the scroll source
+
+    // Orbit controls: pointers held down, keyed by pointerId, in client coordinates
+    this.pointers = new Map();
+    this.dragDistance = 0;   // Distance dragged since the last pointerdown, to tell drags from clicks
+  }
+
+  /**
+   * Start listening to the configured input sources
+   * @param {HTMLElement} target - Element that receives wheel and touch input
+   */
+  attach(target) {
+    this.detach();
+    this.target = target;
+
+    const config = this.mesh.config;
+    const sources = config.INPUT_SOURCES || [];
+
+    // Scroll and keyboard events go to the page unless an input target is configured
+    const pageTarget = config.INPUT_TARGET || (typeof window !== 'undefined' ? window : target);
+
+    if (sources.includes('wheel')) {
+      // A passive listener lets the browser scroll without waiting for the handler;
+      // orbit controls use the wheel to zoom, so they keep it from scrolling the page
+      const passive = !config.WHEEL_PREVENT_DEFAULT && !config.ORBIT_CONTROLS;
+      this.listen(target, 'wheel', e => this.handleWheel(e), { passive });
+    }
+
+    if (sources.includes('scroll')) {
+      this.scrollTop = this.getScrollTop(pageTarget);
+      this.listen(pageTarget, 'scroll', () => this.handleScroll(pageTarget), { passive: true });
+    }
+
+    if (sources.includes('touch')) {
+      this.listen(target, 'touchstart', e => this.handleTouchStart(e), { passive: true });
+      this.listen(target, 'touchmove', e => this.handleTouchMove(e), { passive: true });
+      this.listen(target, 'touchend', () => { this.touchY = null; }, { passive: true });
+      this.listen(target, 'touchcancel', () => { this.touchY = null; }, { passive: true });
+    }
+
+    if (sources.includes('keyboard')) {
+      this.listen(pageTarget, 'keydown', e => this.handleKeyDown(e));
+    }
+
+    if (config.POINTER_FORCE_MODE !== 'none' || config.PICKING || config.ORBIT_CONTROLS) {
+      this.listen(target, 'pointermove', e => this.handlePointerMove(e), { passive: true });
+      this.listen(target, 'pointerdown', e => this.handlePointerDown(e), { passive: true });
+      this.listen(target, 'pointerup', e => this.handlePointerUp(e), { passive: true });
+      this.listen(target, 'pointerleave', e => {
+        this.dropPointer(e.pointerId);
+        this.releasePointer();
+      }, { passive: true });
+      this.listen(target, 'pointercancel', e => {
+        this.handlePointerUp(e);
+        this.releasePointer();
+      }, { passive: true });
+      this.listen(target, 'lostpointercapture', e => this.dropPointer(e.pointerId), { passive: true });
+    }
+
+    if (config.PICKING) {
+      this.listen(target, 'click', e => this.handleClick(e));
+    }
+  }
+
+  /**
+   * Remove every listener registered by attach()
+   */
+  detach() {
+    this.listeners.forEach(([target, event, handler]) => target.removeEventListener(event, handler));
+    this.listeners = [];
+    this.target = null;
+    this.touchY = null;
+    this.scrollTop = null;
+    this.releasePointer();
+
+    if (this.pointers.size > 0) {
+      this.pointers.clear();
+      this.mesh.camera.setDragging(false);
+    }
+  }
+
+  /**
+   * Register a listener so detach() can remove it
+   * @param {EventTarget} target - Element or window
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @param {Object} [options] - addEventListener options
+   */
+  listen(target, event, handler, options) {
+    target.addEventListener(event, handler, options);
+    this.listeners.push([target, event, handler]);
+  }
+
+  /**
+   * Apply a vertical input movement to the mesh's velocities
+   * @param {number} deltaY - Movement in CSS pixels (positive = down)
+   */
+  push(deltaY) {
+    const mesh = this.mesh;
+    mesh.globalVelocityY -= deltaY * mesh.config.SCROLL_VELOCITY_FACTOR;
+    mesh.scrollVelocity = Math.abs(deltaY) * 0.01;
+  }
+
+  /**
+   * Handle a wheel event
+   * @param {WheelEvent} e - Wheel event
+   */
+  handleWheel(e) {
+    // Line and page deltas are converted to pixels
+    const scale = e.deltaMode === 1 ? InputController.LINE_HEIGHT : e.deltaMode === 2 ? InputController.PAGE_HEIGHT : 1;
+
+    if (this.mesh.config.ORBIT_CONTROLS) {
+      e.preventDefault();
+      this.mesh.camera.zoomBy(Math.exp(e.deltaY * scale * this.mesh.config.ORBIT_ZOOM_SPEED));
+      return;
+    }
+
+    // Scroll-linked shapes need the page to keep scrolling
+    if (this.mesh.config.WHEEL_PREVENT_DEFAULT && !this.mesh.scrollScrubber.isBound) {
+      e.preventDefault();
+    }
+
+    this.push(e.deltaY * scale);
+  }
+
+  /**
+   * Handle a scroll event of the page or the input target
+   * @param {Window|HTMLElement} target - Scrolled element
+   */
+  handleScroll(target) {
+    const scrollTop = this.getScrollTop(target);
+    const delta = scrollTop - this.scrollTop;
+    this.scrollTop = scrollTop;
+
+    if (delta !== 0) {
+      this.push(delta);
+    }
+  }
+
+  /**
+   * Remember where a touch drag starts
+   * @param {TouchEvent} e - Touch event
+   */
+  handleTouchStart(e) {
+    this.touchY = e.touches.length === 1 ? e.touches[0].clientY : null;
+  }
+
+  /**
+   * Treat a one-finger drag like scrolling: swiping up moves the flow down
+   * @param {TouchEvent} e - Touch event
+   */
+  handleTouchMove(e) {
+    // With orbit controls a drag turns the camera instead
+    if (this.touchY === null || e.touches.length !== 1 || this.mesh.config.ORBIT_CONTROLS) return;
+
+    const y = e.touches[0].clientY;
+    this.push(this.touchY - y);
+    this.touchY = y;
+  }
+
+  /**
+   * Handle scrolling keys
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    // Leave keys typed into form fields alone
+    const element = e.target;
+    if (element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName))) return;
+
+    const delta = InputController.KEYS[e.key];
+    if (delta === undefined) return;
+
+    this.push(e.key === ' ' && e.shiftKey ? -delta : delta);
+  }
+
+  /**
+   * Start tracking a pointer; with orbit controls it begins a drag or pinch
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    this.handlePointerMove(e);
+
+    if (!this.mesh.config.ORBIT_CONTROLS || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.dragDistance = 0;
+    this.mesh.camera.setDragging(true);
+
+    // Keep receiving the drag's events, including its pointerup, once it leaves the target
+    if (this.target && typeof this.target.setPointerCapture === 'function') {
+      try {
+        this.target.setPointerCapture(e.pointerId);
+      } catch (error) {
+        // The pointer is no longer active; lostpointercapture or pointerup ends the drag
+      }
+    }
+  }
+
+  /**
+   * Track the pointer position in canvas device pixels, and turn or zoom the
+   * camera while pointers are held down with orbit controls
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    const rect = this.mesh.canvas.getBoundingClientRect();
+    const pointer = this.mesh.pointer;
+
+    pointer.x = (e.clientX - rect.left) * this.mesh.pixelRatio;
+    pointer.y = (e.clientY - rect.top) * this.mesh.pixelRatio;
+    pointer.active = true;
+
+    const previous = this.pointers.get(e.pointerId);
+    if (!previous) return;
+
+    // The buttons were released somewhere the pointerup never reached us
+    if (e.buttons === 0) {
+      this.dropPointer(e.pointerId);
+      return;
+    }
+
+    const config = this.mesh.config;
+    const current = { x: e.clientX, y: e.clientY };
+
+    if (this.pointers.size === 1) {
+      const dx = current.x - previous.x;
+      const dy = current.y - previous.y;
+      this.dragDistance += Math.abs(dx) + Math.abs(dy);
+
+      // The scene follows the pointer: dragging right turns it right
+      this.mesh.camera.orbitBy(-dx * config.ORBIT_ROTATE_SPEED, dy * config.ORBIT_ROTATE_SPEED);
+    } else if (this.pointers.size === 2) {
+      // Pinch: zoom by the change in distance between the two fingers
+      const other = [...this.pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(current.x - other.x, current.y - other.y);
+      this.dragDistance += Math.abs(after - before);
+
+      if (before > 0 && after > 0) {
+        this.mesh.camera.zoomBy(before / after);
+      }
+    }
+
+    this.pointers.set(e.pointerId, current);
+  }
+
+  /**
+   * Report a click on a particle
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    // The end of an orbit drag is not a click
+    if (this.dragDistance > InputController.CLICK_SLOP) return;
+
+    const rect = this.mesh.canvas.getBoundingClientRect();
+    const hit = this.mesh.pickParticle(e.clientX - rect.left, e.clientY - rect.top);
+
+    if (hit) {
+      this.mesh.events.emit('particleclick', this.mesh.describePick(hit));
+    }
+  }
+
+  /**
+   * End a drag. A lifted finger leaves nothing to follow; a mouse stays over the canvas
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    this.dropPointer(e.pointerId);
+
+    if (e.pointerType === 'touch' || e.pointerType === 'pen') {
+      this.releasePointer();
+    }
+  }
+
+  /**
+   * Stop tracking a held pointer; the drag ends once no pointers are held
+   * @param {number} pointerId - Pointer to drop
+   */
+  dropPointer(pointerId) {
+    if (this.pointers.delete(pointerId) && this.pointers.size === 0) {
+      this.mesh.camera.setDragging(false);
+    }
+  }
+
+  /**
+   * Stop pointer forces until the pointer moves over the canvas again
+   */
+  releasePointer() {
+    this.mesh.pointer.active = false;
+  }
+
+  /**
+   * Current scroll offset of the page or an element
+   * @param {Window|HTMLElement} target - Scrolled element
+   * @returns {number} - Scroll offset in CSS pixels
+   */
+  getScrollTop(target) {
+    if (typeof window !== 'undefined' && target === window) {
+      return window.pageYOffset || (document.documentElement && document.documentElement.scrollTop) || 0;
+    }
+    return target.scrollTop || 0;
+  }
+}
+
+// Input sources that can be listed in INPUT_SOURCES
+InputController.SOURCES = ['wheel', 'scroll', 'touch', 'keyboard'];
+
+// Pixel equivalents of wheel deltas given in lines and pages
+InputController.LINE_HEIGHT = 16;
+InputController.PAGE_HEIGHT = 800;
+
+// CSS pixels a pointer may move between press and release and still count as a click
+InputController.CLICK_SLOP = 5;
+
+// Pixel movement of each scrolling key
+InputController.KEYS = {
+  ArrowDown: 40,
+  ArrowUp: -40,
+  PageDown: 400,
+  PageUp: -400,
+  ' ': 400
+};
+
+// Export for module usage
+
+export default InputController;
\ No newline at end of file
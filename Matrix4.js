@@ -12,6 +12,19 @@ class Matrix4 {
       ]);
     }
   
+    // Return a 4x4 orthographic projection matrix for the given view box.
+    static orthographic(left, right, bottom, top, near, far) {
+      const lr = 1 / (left - right);
+      const bt = 1 / (bottom - top);
+      const nf = 1 / (near - far);
+      return new Float32Array([
+        -2 * lr,             0,                   0,                   0,
+        0,                   -2 * bt,             0,                   0,
+        0,                   0,                   2 * nf,              0,
+        (left + right) * lr, (top + bottom) * bt, (far + near) * nf,   1
+      ]);
+    }
+  
     // Return a simple lookAt matrix given eye, center, and up vectors.
     static lookAt(eye, center, up) {
       const fx = center.x - eye.x,
@@ -43,6 +56,20 @@ class Matrix4 {
         1
       ]);
     }
+  
+    // Return a view matrix from a camera position and its orthonormal
+    // right, up and forward vectors (for cameras with roll or any orientation).
+    static fromBasis(eye, right, up, forward) {
+      return new Float32Array([
+        right.x,  up.x,  -forward.x, 0,
+        right.y,  up.y,  -forward.y, 0,
+        right.z,  up.z,  -forward.z, 0,
+        -(right.x * eye.x + right.y * eye.y + right.z * eye.z),
+        -(up.x * eye.x + up.y * eye.y + up.z * eye.z),
+         forward.x * eye.x + forward.y * eye.y + forward.z * eye.z,
+        1
+      ]);
+    }
   }
   
   if (typeof module !== 'undefined' && module.exports) {
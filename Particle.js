@@ -6,25 +6,37 @@ class Particle {
   /**
    * Create a new particle
    * @param {Object} config - Configuration object
+   * @param {Random} [random] - Random number generator for positions, velocities and respawns
    */
-  constructor(config) {
+  constructor(config, random = new Random()) {
+    this.random = random;
+    
     // Position
-    this.x = (Math.random() * 2 - 1) * config.BOUND;
-    this.y = (Math.random() * 2 - 1) * config.BOUND;
-    this.z = (Math.random() * 2 - 1) * config.BOUND;
+    this.x = this.random.signed() * config.BOUND;
+    this.y = this.random.signed() * config.BOUND;
+    this.z = this.random.signed() * config.BOUND;
     
     // Velocity
-    this.vx = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
-    this.vy = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
-    this.vz = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
+    this.vx = this.random.signed() * config.PARTICLE_SPEED;
+    this.vy = this.random.signed() * config.PARTICLE_SPEED;
+    this.vz = this.random.signed() * config.PARTICLE_SPEED;
     
     // Base velocity (used for resetting)
     this.baseVy = this.vy;
     
+    // Velocity from external forces such as the pointer; decays back to zero
+    this.fx = 0;
+    this.fy = 0;
+    this.fz = 0;
+    
     // Rendering properties
     this.size = config.PARTICLE_SIZE;
     this.opacity = 1;
     this.screen = null; // Projected screen coordinates
+    this.highlighted = false; // Drawn with the highlight style while hovered
+    
+    // Application data, e.g. for tooltips (reported with picking events)
+    this.data = null;
     
     // For shape transitions
     this.targetX = null;
@@ -46,8 +58,9 @@ class Particle {
    * @param {number} globalVelocityY - Global Y velocity to apply
    * @param {Object} config - Configuration object
    * @param {Object|null} currentShape - Current shape with potential exclusion zones
+   * @param {number} frameScale - Elapsed time in 60 Hz frames (velocities are per frame)
    */
-  update(globalVelocityY, config, currentShape = null) {
+  update(globalVelocityY, config, currentShape = null, frameScale = 1) {
     // If in transition, don't apply normal movement
     if (this.inTransition) return;
     
@@ -57,20 +70,24 @@ class Particle {
     this.prevZ = this.z;
     
     // Calculate new position
-    const newX = this.x + this.vx;
-    const newY = this.y + this.vy + globalVelocityY;
-    const newZ = this.z + this.vz;
+    const newX = this.x + (this.vx + this.fx) * frameScale;
+    const newY = this.y + (this.vy + this.fy + globalVelocityY) * frameScale;
+    const newZ = this.z + (this.vz + this.fz) * frameScale;
     
-    // Check if new position would be inside an exclusion zone
+    // Let force velocity fade so particles return to their own drift
+    const forceDecay = Math.pow(Particle.FORCE_DECAY, frameScale);
+    this.fx *= forceDecay;
+    this.fy *= forceDecay;
+    this.fz *= forceDecay;
+    
+    // Check if new position would be inside an exclusion zone (shapes may define several)
     if (currentShape && currentShape.hasExclusionZone) {
-      const wouldEnterExclusionZone = this.wouldEnterExclusionZone(
-        newX, newY, newZ, 
-        currentShape.exclusionZone
-      );
+      const zones = currentShape.exclusionZones || [currentShape.exclusionZone];
+      const enteredZone = zones.find(zone => zone && this.wouldEnterExclusionZone(newX, newY, newZ, zone));
       
-      if (wouldEnterExclusionZone) {
+      if (enteredZone) {
         // Bounce off the exclusion zone
-        this.bounceOffExclusionZone(currentShape.exclusionZone);
+        this.bounceOffExclusionZone(enteredZone);
         return;
       }
     }
@@ -84,6 +101,40 @@ class Particle {
     this.checkBounds(config);
   }
   
+  /**
+   * Push the particle away from, pull it toward or swirl it around a point
+   * @param {Object} center - World point the force comes from
+   * @param {string} mode - 'repel', 'attract' or 'vortex'
+   * @param {number} radius - Distance beyond which the force has no effect
+   * @param {number} strength - Velocity added per frame at the center
+   * @param {number} falloff - Exponent of the fade toward the radius (0 = constant, 1 = linear)
+   * @param {Object} axis - Normalized axis a vortex turns around
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
+   */
+  applyForce(center, mode, radius, strength, falloff, axis, frameScale = 1) {
+    if (this.inTransition) return;
+    
+    const dx = this.x - center.x;
+    const dy = this.y - center.y;
+    const dz = this.z - center.z;
+    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    if (distance >= radius || distance === 0) return;
+    
+    const amount = strength * Math.pow(1 - distance / radius, falloff) * frameScale / distance;
+    
+    if (mode === 'vortex') {
+      // Tangent direction is the cross product of the axis and the offset
+      this.fx += (axis.y * dz - axis.z * dy) * amount;
+      this.fy += (axis.z * dx - axis.x * dz) * amount;
+      this.fz += (axis.x * dy - axis.y * dx) * amount;
+    } else {
+      const sign = mode === 'attract' ? -1 : 1;
+      this.fx += dx * amount * sign;
+      this.fy += dy * amount * sign;
+      this.fz += dz * amount * sign;
+    }
+  }
+  
   /**
    * Check if the particle would enter an exclusion zone at the new position
    * @param {number} newX - New X position
@@ -220,8 +271,8 @@ class Particle {
                         Math.abs(this.z) > config.BOUND;
     
     if (outOfBounds) {
-      const axis = Math.floor(Math.random() * 3); // 0 = x, 1 = y, 2 = z
-      const sign = Math.random() < 0.5 ? -1 : 1;
+      const axis = this.random.int(3); // 0 = x, 1 = y, 2 = z
+      const sign = this.random.next() < 0.5 ? -1 : 1;
       
       // Reset particle with new position and velocity
       this.resetParticle(config);
@@ -230,20 +281,20 @@ class Particle {
       switch(axis) {
         case 0: // x-axis
           this.x = sign * config.BOUND;
-          this.y = (Math.random() * 2 - 1) * config.BOUND;
-          this.z = (Math.random() * 2 - 1) * config.BOUND;
+          this.y = this.random.signed() * config.BOUND;
+          this.z = this.random.signed() * config.BOUND;
           this.vx = -sign * Math.abs(this.vx); // Ensure velocity points inward
           break;
         case 1: // y-axis
-          this.x = (Math.random() * 2 - 1) * config.BOUND;
+          this.x = this.random.signed() * config.BOUND;
           this.y = sign * config.BOUND;
-          this.z = (Math.random() * 2 - 1) * config.BOUND;
+          this.z = this.random.signed() * config.BOUND;
           this.vy = -sign * Math.abs(this.vy);
           this.baseVy = this.vy; // Store the new base vertical velocity
           break;
         case 2: // z-axis
-          this.x = (Math.random() * 2 - 1) * config.BOUND;
-          this.y = (Math.random() * 2 - 1) * config.BOUND;
+          this.x = this.random.signed() * config.BOUND;
+          this.y = this.random.signed() * config.BOUND;
           this.z = sign * config.BOUND;
           this.vz = -sign * Math.abs(this.vz);
           break;
@@ -257,12 +308,23 @@ class Particle {
    */
   resetParticle(config) {
     // New random velocities
-    this.vx = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
-    this.vy = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
-    this.vz = (Math.random() * 2 - 1) * config.PARTICLE_SPEED;
+    this.vx = this.random.signed() * config.PARTICLE_SPEED;
+    this.vy = this.random.signed() * config.PARTICLE_SPEED;
+    this.vz = this.random.signed() * config.PARTICLE_SPEED;
     this.baseVy = this.vy;
   }
   
+  /**
+   * Scale the particle's velocity, keeping its direction
+   * @param {number} factor - Speed multiplier
+   */
+  scaleVelocity(factor) {
+    this.vx *= factor;
+    this.vy *= factor;
+    this.vz *= factor;
+    this.baseVy *= factor;
+  }
+  
   /**
    * Set target position for shape transition
    * @param {number} x - Target X coordinate
@@ -327,19 +389,71 @@ class Particle {
     }
   }
   
+  /**
+   * Stop an in-progress transition at the current interpolated position
+   */
+  cancelTransition() {
+    if (!this.inTransition) return;
+    
+    this.originalX = this.x;
+    this.originalY = this.y;
+    this.originalZ = this.z;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevZ = this.z;
+    this.inTransition = false;
+  }
+  
   /**
    * Reset to random position
    * @param {Object} config - Configuration object
    */
   resetToRandom(config) {
-    this.x = (Math.random() * 2 - 1) * config.BOUND;
-    this.y = (Math.random() * 2 - 1) * config.BOUND;
-    this.z = (Math.random() * 2 - 1) * config.BOUND;
+    this.x = this.random.signed() * config.BOUND;
+    this.y = this.random.signed() * config.BOUND;
+    this.z = this.random.signed() * config.BOUND;
     this.resetParticle(config);
     this.inTransition = false;
   }
+  
+  /**
+   * Capture the particle's position, motion and transition state
+   * @returns {Object} - JSON-safe particle state
+   */
+  serialize() {
+    return {
+      x: this.x, y: this.y, z: this.z,
+      vx: this.vx, vy: this.vy, vz: this.vz,
+      baseVy: this.baseVy,
+      fx: this.fx, fy: this.fy, fz: this.fz,
+      size: this.size,
+      targetX: this.targetX, targetY: this.targetY, targetZ: this.targetZ,
+      originalX: this.originalX, originalY: this.originalY, originalZ: this.originalZ,
+      inTransition: this.inTransition
+    };
+  }
+  
+  /**
+   * Restore a state captured by serialize()
+   * @param {Object} state - Particle state
+   */
+  restore(state) {
+    Object.keys(this.serialize()).forEach(key => {
+      if (state[key] !== undefined) {
+        this[key] = state[key];
+      }
+    });
+    
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevZ = this.z;
+    this.screen = null;
+  }
 }
 
+// Fraction of force velocity kept per 60 Hz frame
+Particle.FORCE_DECAY = 0.9;
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Particle;
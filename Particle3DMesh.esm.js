@@ -4,45 +4,121 @@
  * particles, camera, renderer, shapes, and animations.
  */
 
+/**
+ * Payloads of the events emitted by Particle3DMesh (subscribe with on/off/once)
+ * @typedef {Object} FrameEvent - 'frame': emitted after every rendered frame
+ * @property {number} time - Simulation time in milliseconds
+ * @property {number} delta - Wall-clock milliseconds since the previous frame
+ * @property {number} particleCount - Number of particles drawn
+ * @property {number} connectionCount - Number of connections drawn
+ *
+ * @typedef {Object} ResizeEvent - 'resize': emitted after the canvas is resized
+ * @property {number} width - Canvas width in device pixels
+ * @property {number} height - Canvas height in device pixels
+ * @property {number} pixelRatio - Device pixels per CSS pixel
+ *
+ * @typedef {Object} ShapeChangeEvent - 'shapechange': emitted when the current shape changes
+ * @property {string} shape - Name of the new shape
+ * @property {string|null} previousShape - Name of the previous shape
+ * @property {Object} options - Options the shape was created with
+ *
+ * @typedef {Object} TransitionEvent - 'transitionstart', 'transitionprogress', 'transitioncomplete', 'transitioncancel'
+ * @property {string} shape - Name of the target shape
+ * @property {number} progress - Transition progress from 0 to 1
+ * @property {number} duration - Transition duration in milliseconds
+ * @property {string} easing - Name of the easing function
+ *
+ * @typedef {Object} ConfigChangeEvent - 'configchange': emitted after setConfig() applied changes
+ * @property {Array<string>} changed - Names of the options whose values changed
+ * @property {Object} previous - Configuration before the change
+ *
+ * @typedef {Object} RendererChangeEvent - 'rendererchange': emitted after setConfig() swapped renderers
+ * @property {string} renderer - Renderer now in use ('webgl' or 'canvas')
+ * @property {HTMLCanvasElement} canvas - Canvas element that replaced the previous one
+ *
+ * @typedef {Object} SceneLoadEvent - 'sceneload': emitted after loadScene() applied a scene
+ * @property {string|null} name - Name of the scene
+ *
+ * @typedef {Object} RestoreEvent - 'restore': emitted after restore() rebuilt a serialized scene
+ * @property {number} version - Version of the restored scene document
+ *
+ * @typedef {Object} CueEvent - 'cue': emitted when the sequencer fires a cue
+ * @property {string|null} name - Name of the cue
+ * @property {number} index - Position of the cue on the timeline
+ * @property {number} at - Scheduled time of the cue in milliseconds
+ * @property {number} time - Timeline position when the cue fired
+ *
+ * @typedef {Object} SequenceEvent - 'sequencestart', 'sequenceloop', 'sequenceseek', 'sequencecomplete'
+ * @property {number} [duration] - Timeline length in milliseconds ('sequencestart')
+ * @property {number} [iteration] - Number of completed loops ('sequenceloop')
+ * @property {number} [time] - Timeline position ('sequenceseek', 'sequencecomplete')
+ *
+ * @typedef {Object} RendererFallbackEvent - 'rendererfallback': emitted when WebGL is unavailable
+ * @property {string} from - Renderer that failed ('webgl')
+ * @property {string} to - Renderer used instead ('canvas')
+ * @property {string} reason - Why the fallback happened
+ *
+ * 'start', 'stop', 'pause', 'resume' and 'destroy' are emitted with an empty payload.
+ */
+
 class Particle3DMesh {
   /**
    * Create a new Particle3DMesh instance
-   * @param {string} canvasId - The ID of the canvas element to render to
+   * @param {string|HTMLCanvasElement|HTMLElement|OffscreenCanvas} target - Canvas id, canvas element,
+   *   container element (the mesh creates and manages its own canvas inside it) or OffscreenCanvas
    * @param {Object} customConfig - Custom configuration options to override defaults
    */
-  constructor(canvasId, customConfig = {}) {
+  constructor(target, customConfig = {}) {
     // Initialize canvas and context
-    this.canvas = document.getElementById(canvasId);
+    this.ownsCanvas = false;
+    this.isOffscreen = false;
+    this.canvas = this.resolveCanvas(target);
     
-    // Set up configuration
-    this.config = new Config(customConfig);
+    // Set up configuration; keep the caller's overrides so setConfig() can re-merge them
+    this.customConfig = { ...customConfig };
+    this.config = new Config(this.customConfig);
+    this.sizingMode = this.resolveSizingMode();
     
-    // Set default: use WebGL if enabled in the config.
-    this.config.USE_WEBGL = this.config.USE_WEBGL !== undefined ? this.config.USE_WEBGL : true;
+    // Event emitter for lifecycle, transition and frame events
+    this.events = new EventEmitter();
     
-    if (this.config.USE_WEBGL) {
-      // Use WebGL renderer
-      this.renderer = new WebGLRenderer(this.canvas, this.config);
-    } else {
-      // Fallback to the old Canvas 2D renderer
-      this.ctx = this.canvas.getContext('2d');
-      this.renderer = new Renderer(this.canvas, this.ctx, this.config);
-    }
+    // Use WebGL if enabled in the config (the default)
+    this.createRenderer();
     
     // Initialize state variables
     this.particles = [];
     this.globalVelocityY = 0;
     this.scrollVelocity = 0;
     this.smoothedScrollVelocity = 0;
-    this.velocityDecay = 0.98;
-    this.velocitySmoothingFactor = 0.1;
+    this.pointer = { x: 0, y: 0, active: false }; // Canvas position in device pixels
+    this.hovered = null;      // { particle, index } under the pointer when PICKING is on
+    this.velocityDecay = this.config.VELOCITY_DECAY;
+    this.velocitySmoothingFactor = this.config.VELOCITY_SMOOTHING;
     this.isRunning = false;
+    this.isPaused = false;
+    this.isDestroyed = false;
     this.animationFrameId = null;
+    this.connectionCount = 0;
+    this.pixelRatio = 1;
+    
+    // Simulation clock shared by particles, camera and transitions
+    this.clock = new Clock({
+      fixedTimestep: this.config.FIXED_TIMESTEP,
+      maxDelta: this.config.MAX_FRAME_DELTA
+    });
+    
+    // Seeded generator shared by particles and shapes (SEED = null picks a random seed)
+    this.random = new Random(this.config.SEED);
     
     // Create component instances
     this.camera = new Camera(this.config);
-    this.shapeManager = new ShapeManager(this.config);
-    this.animationController = new AnimationController(this.config);
+    this.shapeManager = new ShapeManager(this.config, this.random);
+    this.animationController = new AnimationController(this.config, this.events);
+    this.camera.easings = this.animationController.transitions;
+    this.inputController = new InputController(this);
+    this.sequencer = new Sequencer(this);
+    this.scrollScrubber = new ScrollScrubber(this);
+    this.sceneLoader = new SceneLoader(this);
     
     // Initialize spatial grid for efficient connection checks
     this.spatialGrid = new SpatialGrid(this.config.GRID_CELL_SIZE, this.config.BOUND);
@@ -61,50 +137,390 @@ class Particle3DMesh {
     this.resizeCanvas();
   }
   
+  /**
+   * Resolve the constructor target to the canvas the mesh renders to
+   * @param {string|HTMLCanvasElement|HTMLElement|OffscreenCanvas} target - Render target
+   * @returns {HTMLCanvasElement|OffscreenCanvas} - Canvas to render to
+   */
+  resolveCanvas(target) {
+    let element = target;
+    
+    if (typeof target === 'string') {
+      element = typeof document !== 'undefined' ? document.getElementById(target) : null;
+      if (!element) {
+        throw new Error(`Particle3DMesh: no element with id "${target}" was found`);
+      }
+    }
+    
+    if (typeof OffscreenCanvas !== 'undefined' && element instanceof OffscreenCanvas) {
+      this.isOffscreen = true;
+      return element;
+    }
+    
+    if (element && element.nodeType === 1) {
+      if (element.tagName === 'CANVAS') {
+        return element;
+      }
+      
+      // Any other element is a container: create a canvas that fills it
+      const canvas = element.ownerDocument.createElement('canvas');
+      canvas.style.display = 'block';
+      element.appendChild(canvas);
+      this.ownsCanvas = true;
+      return canvas;
+    }
+    
+    const received = element === null ? 'null' : typeof element === 'object' && element.constructor ? element.constructor.name : typeof element;
+    throw new TypeError(`Particle3DMesh: expected a canvas id, HTMLCanvasElement, container element or OffscreenCanvas, but received ${received}`);
+  }
+  
+  /**
+   * Create the renderer selected by USE_WEBGL, falling back to Canvas 2D
+   * when a WebGL context cannot be created
+   */
+  createRenderer() {
+    if (this.config.USE_WEBGL) {
+      // Use WebGL renderer
+      this.renderer = new WebGLRenderer(this.canvas, this.config);
+      if (this.renderer.gl) return;
+      
+      this.config.USE_WEBGL = false;
+      
+      // Emit after the constructor returns so callers can subscribe first
+      Promise.resolve().then(() => {
+        this.events.emit('rendererfallback', {
+          from: 'webgl',
+          to: 'canvas',
+          reason: 'WebGL context could not be created'
+        });
+      });
+    }
+    
+    // Fallback to the old Canvas 2D renderer
+    this.ctx = this.canvas.getContext('2d');
+    this.renderer = new Renderer(this.canvas, this.ctx, this.config);
+  }
+  
+  /**
+   * Switch between the WebGL and Canvas 2D renderers. A canvas keeps the
+   * first context type it was given, so DOM canvases are replaced with a
+   * fresh clone (same id, classes and styles) before the new renderer is created.
+   */
+  swapRenderer() {
+    if (this.isOffscreen) {
+      throw new Error('Particle3DMesh: USE_WEBGL cannot be changed on an OffscreenCanvas; create a new mesh instead');
+    }
+    
+    this.removeEventListeners();
+    // The old canvas is replaced below, so its context can go
+    this.renderer.destroy(true);
+    this.ctx = null;
+    
+    const canvas = this.canvas.cloneNode(false);
+    if (this.canvas.parentNode) {
+      this.canvas.parentNode.replaceChild(canvas, this.canvas);
+    }
+    this.canvas = canvas;
+    
+    this.createRenderer();
+    this.setupEventListeners();
+    this.resizeCanvas();
+    
+    this.events.emit('rendererchange', {
+      renderer: this.config.USE_WEBGL ? 'webgl' : 'canvas',
+      canvas: this.canvas
+    });
+  }
+  
+  /**
+   * Resolve the 'auto' sizing mode for the current render target
+   * @returns {string} - 'window', 'container' or 'none'
+   */
+  resolveSizingMode() {
+    if (this.isOffscreen) return 'none';
+    if (this.config.SIZING !== 'auto') return this.config.SIZING;
+    return this.ownsCanvas ? 'container' : 'window';
+  }
+  
   /**
    * Initialize particles based on configuration
    */
   initParticles() {
     this.particles = [];
     for (let i = 0; i < this.config.PARTICLE_COUNT; i++) {
-      this.particles.push(new Particle(this.config));
+      this.particles.push(new Particle(this.config, this.random));
     }
   }
   
   /**
-   * Set up event listeners for scroll and resize
+   * Grow or shrink the particle array to PARTICLE_COUNT. New particles spawn
+   * at random positions; the current shape is then rebuilt so they join it.
+   */
+  resizeParticles() {
+    const count = Math.max(0, Math.floor(this.config.PARTICLE_COUNT));
+    if (count === this.particles.length) return;
+    
+    if (count < this.particles.length) {
+      // Drop particles from the end; the array is shared with the animation controller
+      this.particles.length = count;
+      
+      // A dropped particle can no longer be followed
+      const focus = this.camera.focus;
+      if (focus && focus.target && !this.particles.includes(focus.target)) {
+        this.camera.release();
+      }
+    } else {
+      while (this.particles.length < count) {
+        this.particles.push(new Particle(this.config, this.random));
+      }
+    }
+    
+    // Redistribute over the shape the mesh shows or is heading to. Random layouts
+    // are left alone: newcomers already spawn at random and a reshuffle would be jarring.
+    const shape = this.targetShape || this.currentShape;
+    if (shape && shape.name !== 'random' && this.shapeManager.shapes[shape.name]) {
+      this.transitionToShape(
+        shape.name,
+        shape.options || {},
+        this.config.DEFAULT_TRANSITION_DURATION,
+        this.config.DEFAULT_TRANSITION_TYPE
+      );
+    }
+  }
+  
+  /**
+   * Change configuration options on the running mesh. Particle count, speed
+   * and size, spatial grid settings, colors, fog, timing, sizing and the
+   * renderer all take effect without recreating the mesh.
+   * @param {Object} partial - Options to change; others keep their current values
+   * @returns {Particle3DMesh} - This instance for chaining
+   * @throws {TypeError|RangeError} - If a value does not match Config.schema (nothing is changed)
+   * @throws {Error} - If USE_WEBGL changes on an OffscreenCanvas (nothing is changed)
+   */
+  setConfig(partial = {}) {
+    if (this.isDestroyed) return this;
+    
+    const previous = { ...this.config };
+    const customConfig = { ...this.customConfig, ...partial };
+    
+    // Re-merge so derived values (e.g. GRID_CELL_SIZE) follow their sources. Config
+    // validates the result and throws before anything on the mesh has changed.
+    const next = new Config(customConfig);
+    
+    // Keep a WebGL fallback in effect unless the caller asks for WebGL again
+    if (!('USE_WEBGL' in partial)) {
+      next.USE_WEBGL = previous.USE_WEBGL;
+    }
+    
+    // swapRenderer() would throw half-way through; refuse while nothing has changed yet
+    if (this.isOffscreen && next.USE_WEBGL !== previous.USE_WEBGL) {
+      throw new Error('Particle3DMesh: USE_WEBGL cannot be changed on an OffscreenCanvas; create a new mesh instead');
+    }
+    
+    this.customConfig = customConfig;
+    
+    // Update the shared config object in place so every component sees the changes
+    Object.assign(this.config, next);
+    
+    const changed = Object.keys(this.config).filter(key => this.config[key] !== previous[key]);
+    if (changed.length === 0) return this;
+    const has = key => changed.includes(key);
+    
+    if (has('SIZING')) {
+      this.sizingMode = this.resolveSizingMode();
+    }
+    
+    if (has('USE_WEBGL')) {
+      this.swapRenderer();
+    } else if (has('SIZING') || has('INPUT_TARGET')) {
+      this.removeEventListeners();
+      this.setupEventListeners();
+      this.resizeCanvas();
+    } else if (['INPUT_SOURCES', 'WHEEL_PREVENT_DEFAULT', 'POINTER_FORCE_MODE', 'PICKING', 'ORBIT_CONTROLS'].some(has) && this.inputTarget) {
+      this.inputController.attach(this.inputTarget);
+    }
+    
+    if (has('ORBIT_CONTROLS') && !this.config.ORBIT_CONTROLS) {
+      this.camera.releaseControl();
+    }
+    
+    if (has('PIXEL_RATIO') || has('MAX_PIXEL_RATIO')) {
+      this.resizeCanvas();
+    }
+    
+    if (has('SEED')) {
+      this.random.setSeed(this.config.SEED);
+    }
+    
+    if (has('PARTICLE_SPEED')) {
+      this.particles.forEach(particle => {
+        if (previous.PARTICLE_SPEED > 0) {
+          particle.scaleVelocity(this.config.PARTICLE_SPEED / previous.PARTICLE_SPEED);
+        } else {
+          particle.resetParticle(this.config);
+        }
+      });
+    }
+    
+    if (has('PARTICLE_SIZE')) {
+      this.particles.forEach(particle => {
+        particle.size = this.config.PARTICLE_SIZE;
+      });
+    }
+    
+    if (has('PARTICLE_COUNT')) {
+      this.resizeParticles();
+    }
+    
+    if (has('PICKING') && !this.config.PICKING && this.hovered) {
+      this.hovered.particle.highlighted = false;
+      this.hovered = null;
+    }
+    
+    if (has('GRID_CELL_SIZE') || has('BOUND')) {
+      this.spatialGrid = new SpatialGrid(this.config.GRID_CELL_SIZE, this.config.BOUND);
+    }
+    
+    // A configured field of view replaces one set with camera.zoomTo()
+    if (has('FOV') || has('FOCAL_LENGTH')) {
+      this.camera.resetZoom();
+    }
+    if (['PROJECTION', 'NEAR', 'FAR', 'ORTHO_HEIGHT', 'BOUND'].some(has)) {
+      this.camera.updateProjection();
+    }
+    if (['FOV', 'FOCAL_LENGTH', 'CAMERA_FRAME_PADDING', 'CAMERA_AUTO_FRAME'].some(has)) {
+      this.camera.reframe();
+    }
+    
+    if (has('VELOCITY_DECAY')) {
+      this.velocityDecay = this.config.VELOCITY_DECAY;
+    }
+    if (has('VELOCITY_SMOOTHING')) {
+      this.velocitySmoothingFactor = this.config.VELOCITY_SMOOTHING;
+    }
+    
+    if (has('FIXED_TIMESTEP')) {
+      this.clock.fixedTimestep = this.config.FIXED_TIMESTEP || null;
+      this.clock.accumulator = 0;
+    }
+    if (has('MAX_FRAME_DELTA')) {
+      this.clock.maxDelta = this.config.MAX_FRAME_DELTA;
+    }
+    
+    this.events.emit('configchange', { changed, previous });
+    return this;
+  }
+  
+  /**
+   * Set up event listeners for input and resize
    */
   setupEventListeners() {
-    // Scroll event for particle velocity
-    window.addEventListener('wheel', (e) => {
-      e.preventDefault();
-      this.globalVelocityY -= e.deltaY * this.config.SCROLL_VELOCITY_FACTOR;
-      this.scrollVelocity = Math.abs(e.deltaY) * 0.01;
-    }, { passive: false });
+    // An OffscreenCanvas has no DOM to listen to; its owner calls resizeCanvas()
+    if (this.isOffscreen) return;
+    
+    // Keep a reference to the resize handler so destroy() can unregister it
+    this.handleResize = () => this.resizeCanvas();
     
-    // Resize event for canvas
-    window.addEventListener('resize', () => this.resizeCanvas());
+    // Wheel, scroll, touch and keyboard input, scoped to this instance's element
+    this.inputTarget = this.config.INPUT_TARGET || this.canvas.parentElement || this.canvas;
+    this.inputController.attach(this.inputTarget);
+    
+    // Track the parent element in container mode, otherwise the window
+    const container = this.canvas.parentElement;
+    if (this.sizingMode === 'container' && container && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(container);
+    } else if (this.sizingMode !== 'none') {
+      window.addEventListener('resize', this.handleResize);
+    }
+  }
+  
+  /**
+   * Remove the event listeners registered by setupEventListeners()
+   */
+  removeEventListeners() {
+    if (this.inputTarget) {
+      this.inputController.detach();
+      this.inputTarget = null;
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.handleResize) {
+      window.removeEventListener('resize', this.handleResize);
+      this.handleResize = null;
+    }
   }
   
   /**
-   * Resize canvas to match window dimensions
+   * Resize canvas to match its window or container at the configured pixel ratio
    */
   resizeCanvas() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    if (this.isDestroyed) return;
+    
+    const pixelRatio = this.getPixelRatio();
+    
+    // In 'none' mode the canvas keeps whatever size its owner gave it
+    if (this.sizingMode !== 'none') {
+      const { width, height } = this.getDisplaySize();
+      
+      // Render at device resolution while keeping the CSS size unchanged
+      this.canvas.width = Math.max(1, Math.round(width * pixelRatio));
+      this.canvas.height = Math.max(1, Math.round(height * pixelRatio));
+      if (this.sizingMode === 'container') {
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+      } else {
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+      }
+    }
+    this.pixelRatio = pixelRatio;
+    
+    // Keep this instance's camera projecting onto its own canvas
+    this.camera.setViewport(this.canvas.width, this.canvas.height, pixelRatio);
     
-    // If using WebGL, we need to update the viewport
-    if (this.config.USE_WEBGL && this.renderer.gl) {
-      this.renderer.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    // Let the renderer update its viewport and pixel-dependent state
+    this.renderer.resize(this.canvas.width, this.canvas.height, pixelRatio);
+    
+    this.events.emit('resize', {
+      width: this.canvas.width,
+      height: this.canvas.height,
+      pixelRatio
+    });
+  }
+  
+  /**
+   * Get the CSS size the canvas should fill
+   * @returns {Object} - Width and height in CSS pixels
+   */
+  getDisplaySize() {
+    if (this.sizingMode === 'container') {
+      const container = this.canvas.parentElement || this.canvas;
+      return { width: container.clientWidth, height: container.clientHeight };
     }
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  
+  /**
+   * Get the pixel ratio to render at, capped by MAX_PIXEL_RATIO
+   * @returns {number} - Device pixels per CSS pixel
+   */
+  getPixelRatio() {
+    const deviceRatio = typeof window !== 'undefined' ? window.devicePixelRatio : 1;
+    const ratio = this.config.PIXEL_RATIO || deviceRatio || 1;
+    return Math.min(ratio, this.config.MAX_PIXEL_RATIO || ratio);
   }
   
   /**
    * Start the animation loop
    */
   start() {
-    if (!this.isRunning) {
+    if (!this.isRunning && !this.isDestroyed) {
       this.isRunning = true;
+      this.clock.reset();
+      this.events.emit('start');
       this.animate();
     }
     return this;
@@ -120,6 +536,7 @@ class Particle3DMesh {
         cancelAnimationFrame(this.animationFrameId);
         this.animationFrameId = null;
       }
+      this.events.emit('stop');
     }
     return this;
   }
@@ -128,24 +545,115 @@ class Particle3DMesh {
    * Main animation loop
    */
   animate() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.isDestroyed) return;
     
     this.animationFrameId = requestAnimationFrame(() => this.animate());
     
+    // Advance the simulation by the time since the last frame. With a fixed
+    // timestep a frame may run several steps, or none when it came early or
+    // the mesh is paused; the camera basis is still needed for projection.
+    const steps = this.clock.tick();
+    if (steps.length === 0) {
+      this.camera.update(0);
+    }
+    steps.forEach(step => this.simulate(step));
+    
+    this.render();
+  }
+  
+  /**
+   * Freeze all time-dependent state (particles, camera, transitions) in place.
+   * The loop keeps rendering so the frozen frame stays on screen.
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  pause() {
+    if (this.isDestroyed || this.isPaused) return this;
+    
+    this.isPaused = true;
+    this.clock.paused = true;
+    this.events.emit('pause');
+    return this;
+  }
+  
+  /**
+   * Resume a paused mesh from exactly where it was frozen
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  resume() {
+    if (this.isDestroyed || !this.isPaused) return this;
+    
+    this.isPaused = false;
+    this.clock.paused = false;
+    this.events.emit('resume');
+    return this;
+  }
+  
+  /**
+   * Scale simulation speed for slow motion (< 1) or fast-forward (> 1)
+   * @param {number} factor - Time scale, 1 = real time
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  setTimeScale(factor) {
+    if (this.isDestroyed) return this;
+    
+    if (typeof factor !== 'number' || !isFinite(factor) || factor < 0) {
+      throw new RangeError(`Particle3DMesh: time scale must be a non-negative number, got ${factor}`);
+    }
+    this.clock.timeScale = factor;
+    return this;
+  }
+  
+  /**
+   * Advance a paused mesh by a fixed amount of simulation time and draw it.
+   * Pauses the mesh first if it is running.
+   * @param {number} [ms] - Simulation time to advance (defaults to one frame)
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  step(ms) {
+    if (this.isDestroyed) return this;
+    
+    this.pause();
+    const steps = this.clock.step(ms);
+    if (steps.length === 0) {
+      this.camera.update(0);
+    }
+    steps.forEach(step => this.simulate(step));
+    this.render();
+    return this;
+  }
+  
+  /**
+   * Advance every time-dependent part of the simulation
+   * @param {number} delta - Simulation time to advance in ms
+   */
+  simulate(delta) {
+    const frameScale = delta / Clock.REFERENCE_FRAME;
+    
     // Update velocities
-    this.updateVelocities();
+    this.updateVelocities(frameScale);
     
     // Update camera position
-    this.camera.update();
+    this.camera.update(delta);
     
-    // Clear the canvas
-    this.renderer.clear();
+    // Fire sequencer cues that are due
+    this.sequencer.update(delta);
     
     // Update animation transitions if active
-    this.animationController.updateTransition(this.particles);
+    this.animationController.updateTransition(this.particles, delta);
+    
+    // Place particles between shapes when bound to scroll position
+    this.scrollScrubber.update(frameScale);
     
     // Update particle positions
-    this.updateParticles();
+    this.updateParticles(frameScale);
+  }
+  
+  /**
+   * Draw the current state of the simulation
+   */
+  render() {
+    // Clear the canvas
+    this.renderer.clear();
     
     // Update spatial grid with new particle positions
     this.updateSpatialGrid();
@@ -153,11 +661,16 @@ class Particle3DMesh {
     // Project particles to screen coordinates
     this.projectParticles();
     
+    // Particles move under a still pointer, so hover is re-tested every frame
+    if (this.config.PICKING) {
+      this.updateHover();
+    }
+    
     // Let connections be computed on CPU (using spatial grid, etc.) as before.
     const connections = [];
     
     // Only compute connections if we need them
-    if (this.config.USE_WEBGL || this.config.SHOW_CONNECTIONS !== false) {
+    if (this.config.SHOW_CONNECTIONS) {
       // Process each particle for connections
       for (let i = 0; i < this.particles.length; i++) {
         const p1 = this.particles[i];
@@ -199,6 +712,8 @@ class Particle3DMesh {
       }
     }
     
+    this.connectionCount = connections.length;
+    
     // Now use the renderer to draw based on the renderer type
     if (this.config.USE_WEBGL) {
       // Draw connections first, then particles on top
@@ -215,30 +730,82 @@ class Particle3DMesh {
     if (this.customDrawFunction) {
       this.customDrawFunction();
     }
+    
+    this.events.emit('frame', {
+      time: this.clock.time,
+      delta: this.clock.frameDelta,
+      particleCount: this.particles.length,
+      connectionCount: this.connectionCount
+    });
   }
   
   /**
    * Update velocity values with smoothing and decay
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
    */
-  updateVelocities() {
+  updateVelocities(frameScale = 1) {
     // Smooth out the scroll velocity changes
-    this.smoothedScrollVelocity += (this.scrollVelocity - this.smoothedScrollVelocity) * this.velocitySmoothingFactor;
+    const smoothing = 1 - Math.pow(1 - this.velocitySmoothingFactor, frameScale);
+    this.smoothedScrollVelocity += (this.scrollVelocity - this.smoothedScrollVelocity) * smoothing;
     
     // Apply decay to velocities
-    this.scrollVelocity *= this.velocityDecay;
-    this.globalVelocityY *= this.velocityDecay;
+    const decay = Math.pow(this.velocityDecay, frameScale);
+    this.scrollVelocity *= decay;
+    this.globalVelocityY *= decay;
   }
   
   /**
    * Update positions of all particles
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
    */
-  updateParticles() {
+  updateParticles(frameScale = 1) {
+    this.applyPointerForce(frameScale);
+    
     this.particles.forEach(particle => {
       // Pass the current shape to the particle update method
-      particle.update(this.globalVelocityY, this.config, this.currentShape);
+      particle.update(this.globalVelocityY, this.config, this.currentShape, frameScale);
+    });
+  }
+  
+  /**
+   * Push, pull or swirl particles around the pointer, projected into the world
+   * on the plane through the camera's look-at point
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
+   */
+  applyPointerForce(frameScale = 1) {
+    const config = this.config;
+    if (config.POINTER_FORCE_MODE === 'none' || !this.pointer.active) return;
+    
+    const center = this.camera.unprojectPoint(this.pointer.x, this.pointer.y);
+    
+    // The force radius is in world units, measured around the projected pointer
+    this.particles.forEach(particle => {
+      particle.applyForce(
+        center,
+        config.POINTER_FORCE_MODE,
+        config.POINTER_FORCE_RADIUS,
+        config.POINTER_FORCE_STRENGTH,
+        config.POINTER_FORCE_FALLOFF,
+        this.camera.forward,
+        frameScale
+      );
     });
   }
   
+  /**
+   * Replace the simulation clock, e.g. with one driven by a custom time source
+   * @param {Clock} clock - Clock to drive the simulation
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  setClock(clock) {
+    if (this.isDestroyed) return this;
+    
+    this.clock = clock;
+    this.clock.paused = this.isPaused;
+    this.clock.reset();
+    return this;
+  }
+  
   /**
    * Update the spatial grid with current particle positions
    */
@@ -274,6 +841,80 @@ class Particle3DMesh {
     });
   }
   
+  /**
+   * Find the particle drawn at a canvas position; the nearest one wins where particles overlap
+   * @param {number} x - X position in CSS pixels from the canvas's left edge
+   * @param {number} y - Y position in CSS pixels from the canvas's top edge
+   * @returns {Object|null} - { particle, index }, or null if no particle is there
+   */
+  pickParticle(x, y) {
+    const px = x * this.pixelRatio;
+    const py = y * this.pixelRatio;
+    const tolerance = this.config.PICK_TOLERANCE * this.pixelRatio;
+    let best = null;
+    
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      const screen = particle.screen;
+      if (!screen) continue;
+      
+      // Same radius the active renderer draws the dot with
+      const radius = this.renderer.getPointRadius(particle, screen.scale) + tolerance;
+      const dx = screen.x - px;
+      const dy = screen.y - py;
+      
+      if (dx*dx + dy*dy <= radius * radius && (!best || screen.z_cam < best.particle.screen.z_cam)) {
+        best = { particle, index: i };
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Build the payload of a picking event
+   * @param {Object} hit - { particle, index } from pickParticle()
+   * @returns {Object} - { particle, index, world, screen } with screen in CSS pixels
+   */
+  describePick(hit) {
+    const { particle, index } = hit;
+    return {
+      particle,
+      index,
+      world: { x: particle.x, y: particle.y, z: particle.z },
+      screen: particle.screen
+        ? { x: particle.screen.x / this.pixelRatio, y: particle.screen.y / this.pixelRatio }
+        : null
+    };
+  }
+  
+  /**
+   * Re-test the particle under the pointer and emit hover and leave events
+   */
+  updateHover() {
+    const hit = this.pointer.active
+      ? this.pickParticle(this.pointer.x / this.pixelRatio, this.pointer.y / this.pixelRatio)
+      : null;
+    
+    const previous = this.hovered;
+    if (previous && hit && previous.particle === hit.particle) {
+      this.hovered = hit;
+      return;
+    }
+    
+    if (previous) {
+      previous.particle.highlighted = false;
+      this.hovered = null;
+      this.events.emit('particleleave', this.describePick(previous));
+    }
+    
+    if (hit) {
+      hit.particle.highlighted = true;
+      this.hovered = hit;
+      this.events.emit('particlehover', this.describePick(hit));
+    }
+  }
+  
   /**
    * Draw connections between nearby particles
    * Uses spatial grid for efficient proximity checks
@@ -282,6 +923,11 @@ class Particle3DMesh {
     // If using WebGL, this method shouldn't be called directly
     if (this.config.USE_WEBGL) return;
     
+    if (!this.config.SHOW_CONNECTIONS) {
+      this.connectionCount = 0;
+      return;
+    }
+    
     // For performance measurement
     const startTime = performance.now();
     let connectionChecks = 0;
@@ -332,6 +978,7 @@ class Particle3DMesh {
         }
       }
     }
+    this.connectionCount = connectionsDrawn;
     
     // Log performance metrics every 100 frames
     if (Math.random() < 0.01) { // ~1% of frames
@@ -353,10 +1000,15 @@ class Particle3DMesh {
     if (this.config.USE_WEBGL) return;
     
     this.particles.forEach(particle => {
-      if (particle.screen) {
+      if (particle.screen && !particle.highlighted) {
         this.renderer.drawParticle(particle, this.camera, this.smoothedScrollVelocity);
       }
     });
+    
+    // Draw the hovered particle last so it is not covered by its neighbors
+    if (this.hovered && this.hovered.particle.screen) {
+      this.renderer.drawParticle(this.hovered.particle, this.camera, this.smoothedScrollVelocity);
+    }
   }
   
   /**
@@ -365,8 +1017,13 @@ class Particle3DMesh {
    * @param {Object} options - Options for the shape
    */
   setShape(shapeName, options = {}) {
+    if (this.isDestroyed) return this;
+    
+    const previousShape = this.currentShape ? this.currentShape.name : null;
     this.currentShape = this.shapeManager.createShape(shapeName, this.particles, options);
     
+    this.events.emit('shapechange', { shape: shapeName, previousShape, options });
+    
     // Apply camera preferences from the shape if enabled in config
     if (this.config.SHAPE_SPECIFIC_CAMERA) {
       this.camera.setShapeTarget(this.currentShape);
@@ -382,18 +1039,30 @@ class Particle3DMesh {
    * @param {number} duration - Duration of transition in milliseconds
    * @param {string} easing - Easing function to use
    * @param {Function} callback - Function to call when transition completes
-   * @returns {Particle3DMesh} - This instance for chaining
+   * @returns {Promise<Object>} - Resolves with { status, shape } where status is 'completed',
+   *   or 'cancelled' with a reason ('superseded', 'cancelled', 'restored' or 'destroyed')
    */
   transitionToShape(shapeName, options = {}, duration = 1000, easing = 'easeInOut', callback = null) {
+    if (this.isDestroyed) {
+      return Promise.resolve({ status: 'cancelled', shape: shapeName, reason: 'destroyed' });
+    }
+    
     // Clear any existing exclusion zones from the current shape before transition
     if (this.currentShape && this.currentShape.hasExclusionZone) {
       // Temporarily remove the exclusion zone during transition
       const tempShape = { ...this.currentShape };
       tempShape.hasExclusionZone = false;
       tempShape.exclusionZone = null;
+      tempShape.exclusionZones = null;
       this.currentShape = tempShape;
     }
     
+    // Release particles from a transition this one supersedes, so those the new
+    // shape does not retarget stay where they are instead of replaying the old move
+    if (this.animationController.isTransitioning) {
+      this.particles.forEach(particle => particle.cancelTransition());
+    }
+    
     // Create the target shape
     this.targetShape = this.shapeManager.createShape(shapeName, this.particles, options);
     
@@ -402,22 +1071,53 @@ class Particle3DMesh {
       this.camera.setShapeTarget(this.targetShape);
     }
     
-    // Start the transition
-    this.animationController.startTransition(
-      this.particles,
-      this.targetShape,
-      duration,
-      easing,
-      () => {
-        // Update current shape when transition completes
-        this.currentShape = this.targetShape;
-        this.targetShape = null;
-        
-        // Call the callback if provided
-        if (callback) callback();
-      }
-    );
+    // Start the transition; a running one is superseded and resolves as cancelled
+    const targetShape = this.targetShape;
+    return new Promise(resolve => {
+      this.animationController.startTransition(
+        this.particles,
+        targetShape,
+        duration,
+        easing,
+        () => {
+          // Update current shape when transition completes
+          this.finishTransition(targetShape, shapeName, options);
+          
+          // Call the callback if provided
+          if (callback) callback();
+          
+          resolve({ status: 'completed', shape: shapeName });
+        },
+        (reason) => resolve({ status: 'cancelled', shape: shapeName, reason })
+      );
+    });
+  }
+  
+  /**
+   * Make a transition's target the current shape once the particles arrive
+   * @param {Object} targetShape - Shape the particles transitioned to
+   * @param {string} shapeName - Name of the shape
+   * @param {Object} options - Options the shape was created with
+   */
+  finishTransition(targetShape, shapeName, options) {
+    const previousShape = this.currentShape ? this.currentShape.name : null;
+    this.currentShape = targetShape;
+    this.targetShape = null;
     
+    this.events.emit('shapechange', { shape: shapeName, previousShape, options });
+  }
+  
+  /**
+   * Cancel the running shape transition. Particles stop where they are and
+   * resume free movement; the pending transition promise resolves as cancelled.
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  cancelTransition() {
+    if (this.isDestroyed) return this;
+    
+    if (this.animationController.cancelTransition('cancelled')) {
+      this.targetShape = null;
+    }
     return this;
   }
   
@@ -427,16 +1127,111 @@ class Particle3DMesh {
    * @param {Function} shapeFunction - Function that generates the shape
    */
   registerShape(name, shapeFunction) {
+    if (this.isDestroyed) return this;
+    
     this.shapeManager.registerShape(name, shapeFunction);
     return this;
   }
   
+  /**
+   * Load a declarative scene: config, named shapes with exclusion zones and
+   * camera preferences, an opening shape and a sequence of timed steps
+   * played by the sequencer. See SceneLoader for the format.
+   * @param {Object|string} scene - Scene object or its JSON string
+   * @returns {Particle3DMesh} - This instance for chaining
+   * @throws {Error} - If the scene is invalid; the message lists every problem
+   */
+  loadScene(scene) {
+    if (this.isDestroyed) return this;
+    
+    this.sceneLoader.load(scene);
+    this.events.emit('sceneload', { name: this.sceneLoader.scene.name || null });
+    return this;
+  }
+  
+  /**
+   * Stop playing the loaded scene's sequence; the current shape stays on screen
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  stopScene() {
+    if (this.isDestroyed) return this;
+    
+    this.sceneLoader.stop();
+    return this;
+  }
+  
+  /**
+   * Bind shape transitions to scroll position. Between two consecutive shapes
+   * the particles sit part-way through the transition, so scrolling down morphs
+   * forward and scrolling up reverses. Stops the sequencer and any running transition.
+   * @param {Array<string|Object>} shapes - Shape names, or { shape, options } objects, in scroll order
+   * @param {Object} [options] - Scrubbing options (target, sections, easing, smoothing); see ScrollScrubber
+   * @returns {Particle3DMesh} - This instance for chaining
+   * @throws {Error} - If fewer than two shapes are given or a shape is not registered
+   */
+  bindScroll(shapes, options = {}) {
+    if (this.isDestroyed) return this;
+    
+    this.scrollScrubber.bind(shapes, options);
+    return this;
+  }
+  
+  /**
+   * Stop scroll-linked transitions; particles resume free movement from where they are
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  unbindScroll() {
+    if (this.isDestroyed) return this;
+    
+    this.scrollScrubber.unbind();
+    return this;
+  }
+  
+  /**
+   * Fly the camera along a keyframed path (see CameraPath). Orbit controls and
+   * shape camera preferences give way until the path ends; a path that does not
+   * loop ends holding its last view.
+   * @param {CameraPath|Array<Object>|Object} path - Path, keyframes or { keyframes, loop, curve } definition
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.startTime] - Time in ms along the path to start from
+   * @returns {Promise<Object>} - Resolves with { status } 'completed', or 'cancelled' with a reason
+   *   ('superseded', 'moved', 'user', 'stopped', 'restored' or 'destroyed')
+   * @throws {TypeError} - If the path definition is invalid
+   */
+  followCameraPath(path, options = {}) {
+    if (this.isDestroyed) {
+      return Promise.resolve({ status: 'cancelled', reason: 'destroyed' });
+    }
+    
+    const cameraPath = this.camera.createPath(path);
+    return new Promise(resolve => {
+      this.camera.followPath(cameraPath, {
+        startTime: options.startTime,
+        onComplete: () => resolve({ status: 'completed' }),
+        onCancel: reason => resolve({ status: 'cancelled', reason })
+      });
+    });
+  }
+  
+  /**
+   * Stop the camera path; the camera holds its current view
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  stopCameraPath() {
+    if (this.isDestroyed) return this;
+    
+    this.camera.stopPath();
+    return this;
+  }
+  
   /**
    * Add a custom transition to the animation controller
    * @param {string} name - Name of the transition
    * @param {Function} transitionFunction - Function that handles the transition
    */
   registerTransition(name, transitionFunction) {
+    if (this.isDestroyed) return this;
+    
     this.animationController.registerTransition(name, transitionFunction);
     return this;
   }
@@ -446,11 +1241,276 @@ class Particle3DMesh {
    * @param {Function} drawFunction - Custom drawing function
    */
   setCustomDrawFunction(drawFunction) {
+    if (this.isDestroyed) return this;
+    
     this.customDrawFunction = drawFunction;
     return this;
   }
+  
+  /**
+   * Subscribe to a mesh event
+   * @param {string} event - Event name (e.g. 'frame', 'transitioncomplete', 'resize')
+   * @param {Function} listener - Function called with the event payload
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  on(event, listener) {
+    if (this.isDestroyed) return this;
+    
+    this.events.on(event, listener);
+    return this;
+  }
+  
+  /**
+   * Unsubscribe from a mesh event
+   * @param {string} event - Event name
+   * @param {Function} [listener] - Listener to remove (all listeners if omitted)
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+  
+  /**
+   * Subscribe to a mesh event for a single call
+   * @param {string} event - Event name
+   * @param {Function} listener - Function called with the event payload
+   * @returns {Particle3DMesh} - This instance for chaining
+   */
+  once(event, listener) {
+    if (this.isDestroyed) return this;
+    
+    this.events.once(event, listener);
+    return this;
+  }
+  
+  /**
+   * Capture everything needed to rebuild the current scene: configuration,
+   * particles, shapes, camera, transition progress, velocities and random state
+   * @returns {Object} - Versioned, JSON-safe scene document
+   */
+  serialize() {
+    // Only the options the mesh was given, so values derived from them (e.g.
+    // GRID_CELL_SIZE) are derived again on restore. Elements cannot be stored as JSON.
+    const config = {};
+    Object.keys(this.customConfig).forEach(key => {
+      const rule = Config.schema[key];
+      if (rule && rule.type !== 'element' && this.customConfig[key] !== undefined) {
+        config[key] = this.customConfig[key];
+      }
+    });
+    
+    return {
+      type: 'Particle3DMesh',
+      version: Particle3DMesh.SERIALIZATION_VERSION,
+      config,
+      time: this.clock.time,
+      timeScale: this.clock.timeScale,
+      paused: this.isPaused,
+      velocity: {
+        globalY: this.globalVelocityY,
+        scroll: this.scrollVelocity,
+        smoothedScroll: this.smoothedScrollVelocity
+      },
+      shape: this.serializeShape(this.currentShape),
+      targetShape: this.serializeShape(this.targetShape),
+      transition: this.animationController.serialize(),
+      camera: this.camera.serialize(),
+      random: this.random.serialize(),
+      particles: this.particles.map(particle => particle.serialize())
+    };
+  }
+  
+  /**
+   * Describe a shape by name and options so it can be recreated
+   * @param {Object|null} shape - Shape object
+   * @returns {Object|null} - Shape description, or null for unregistered shapes
+   */
+  serializeShape(shape) {
+    if (!shape || !this.shapeManager.shapes[shape.name]) return null;
+    
+    return {
+      name: shape.name,
+      options: shape.options || {},
+      // Exclusion zones are suspended while a transition runs
+      hasExclusionZone: !!shape.hasExclusionZone
+    };
+  }
+  
+  /**
+   * Recreate a shape described by serializeShape()
+   * @param {Object|null} description - Shape description
+   * @returns {Object|null} - Shape object
+   */
+  restoreShape(description) {
+    if (!description) return null;
+    
+    if (!this.shapeManager.shapes[description.name]) {
+      throw new Error(`Particle3DMesh: scene uses shape "${description.name}", which is not registered`);
+    }
+    
+    const shape = this.shapeManager.createShape(description.name, this.particles, description.options);
+    if (shape.hasExclusionZone && !description.hasExclusionZone) {
+      return { ...shape, hasExclusionZone: false, exclusionZone: null, exclusionZones: null };
+    }
+    return shape;
+  }
+  
+  /**
+   * Rebuild the exact scene captured by serialize(). Custom shapes and easings
+   * the scene uses must be registered first; a running transition is cancelled.
+   * @param {Object|string} json - Scene document or its JSON string
+   * @returns {Particle3DMesh} - This instance for chaining
+   * @throws {Error} - If the document is not a supported scene
+   */
+  restore(json) {
+    if (this.isDestroyed) return this;
+    
+    const doc = Particle3DMesh.parseScene(json);
+    
+    // Drop the current shapes first so a particle count change does not re-run a shape
+    this.animationController.cancelTransition('restored');
+    this.currentShape = null;
+    this.targetShape = null;
+    
+    // Options missing from the document go back to their defaults. USE_WEBGL only
+    // changes when the document asks for a different renderer, so a fallback stays in effect.
+    const config = {};
+    Object.keys(this.customConfig).forEach(key => {
+      const rule = Config.schema[key];
+      if (key !== 'USE_WEBGL' && (!rule || rule.type !== 'element')) {
+        config[key] = undefined;
+      }
+    });
+    Object.assign(config, doc.config);
+    if (config.USE_WEBGL === this.customConfig.USE_WEBGL) {
+      delete config.USE_WEBGL;
+    }
+    this.setConfig(config);
+    
+    // Rebuild shapes before particles: creating a shape assigns new targets,
+    // which the particle states below overwrite
+    this.particles.length = 0;
+    doc.particles.forEach(() => this.particles.push(new Particle(this.config, this.random)));
+    this.currentShape = this.restoreShape(doc.shape);
+    this.targetShape = this.restoreShape(doc.targetShape);
+    this.particles.forEach((particle, index) => particle.restore(doc.particles[index]));
+    
+    if (doc.transition && this.targetShape) {
+      const targetShape = this.targetShape;
+      this.animationController.restore(doc.transition, this.particles, () => {
+        this.finishTransition(targetShape, doc.targetShape.name, doc.targetShape.options);
+      });
+    } else {
+      // Without a target shape nothing would finish the transition; release the particles where they are
+      this.particles.forEach(particle => particle.cancelTransition());
+    }
+    
+    this.camera.restore(doc.camera);
+    this.random.restore(doc.random);
+    
+    this.globalVelocityY = doc.velocity.globalY;
+    this.scrollVelocity = doc.velocity.scroll;
+    this.smoothedScrollVelocity = doc.velocity.smoothedScroll;
+    
+    this.clock.time = doc.time;
+    this.clock.timeScale = doc.timeScale;
+    this.clock.reset();
+    if (doc.paused) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+    
+    this.events.emit('restore', { version: doc.version });
+    return this;
+  }
+  
+  /**
+   * Same as serialize(), so JSON.stringify(mesh) produces a scene document
+   * @returns {Object} - Versioned, JSON-safe scene document
+   */
+  toJSON() {
+    return this.serialize();
+  }
+  
+  /**
+   * Create a mesh from a document produced by serialize()
+   * @param {string|HTMLCanvasElement|HTMLElement|OffscreenCanvas} target - Render target
+   * @param {Object|string} json - Scene document or its JSON string
+   * @returns {Particle3DMesh} - New mesh showing the restored scene (not started)
+   */
+  static fromJSON(target, json) {
+    const doc = Particle3DMesh.parseScene(json);
+    return new Particle3DMesh(target, doc.config).restore(doc);
+  }
+  
+  /**
+   * Parse and check a scene document
+   * @param {Object|string} json - Scene document or its JSON string
+   * @returns {Object} - Scene document
+   * @throws {Error} - If the document is not a supported scene
+   */
+  static parseScene(json) {
+    const doc = typeof json === 'string' ? JSON.parse(json) : json;
+    
+    if (!doc || doc.type !== 'Particle3DMesh' || !Array.isArray(doc.particles) || !doc.config || !doc.camera) {
+      throw new Error('Particle3DMesh: not a scene document created by serialize()');
+    }
+    if (doc.version !== Particle3DMesh.SERIALIZATION_VERSION) {
+      throw new Error(`Particle3DMesh: unsupported scene version ${doc.version} (expected ${Particle3DMesh.SERIALIZATION_VERSION})`);
+    }
+    return doc;
+  }
+  
+  /**
+   * Tear down the mesh: stop the loop, unregister listeners and release
+   * renderer resources. Any later call on the instance is a no-op.
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+    
+    this.stop();
+    this.removeEventListeners();
+    
+    // Release WebGL programs/buffers or the 2D context state
+    if (this.renderer) {
+      // A caller's canvas may get a new mesh, which needs a live context
+      this.renderer.destroy(this.ownsCanvas);
+      this.renderer = null;
+    }
+    this.ctx = null;
+    
+    // Remove the canvas we created inside a container element
+    if (this.ownsCanvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    
+    // Drop particle and shape references
+    this.particles = [];
+    this.spatialGrid.clear();
+    this.sequencer.clear();
+    this.scrollScrubber.unbind();
+    this.animationController.cancelTransition('destroyed');
+    this.animationController.particles = null;
+    this.camera.cancelPath('destroyed');
+    this.currentShape = null;
+    this.targetShape = null;
+    this.customDrawFunction = null;
+    
+    this.isDestroyed = true;
+    this.events.emit('destroy');
+    this.events.clear();
+  }
 }
 
+// Version of the document produced by serialize(); bump when its layout changes
+// in a way restore() cannot read. Fields added within version 1 are optional:
+// pointer force and orbit settings keep the mesh's current values when missing,
+// and a camera saved without orbit, path, pose, projection or focus state starts
+// without them.
+Particle3DMesh.SERIALIZATION_VERSION = 1;
+
 // Export for browser usage
 
 export default Particle3DMesh;
\ No newline at end of file
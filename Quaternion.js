@@ -0,0 +1,195 @@
+/**
+ * Quaternion - Rotation without gimbal lock
+ * Stores a camera or object orientation as a unit quaternion, converts to
+ * and from right/up/forward basis vectors, and interpolates along the
+ * shortest arc with slerp.
+ */
+class Quaternion {
+  /**
+   * Create a new quaternion (the identity by default)
+   * @param {number} [x] - X component
+   * @param {number} [y] - Y component
+   * @param {number} [z] - Z component
+   * @param {number} [w] - W component
+   */
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  /**
+   * Rotation around an axis
+   * @param {Object} axis - Rotation axis { x, y, z } (normalized here)
+   * @param {number} angle - Angle in radians
+   * @returns {Quaternion} - The rotation
+   */
+  static fromAxisAngle(axis, angle) {
+    const length = Math.hypot(axis.x, axis.y, axis.z) || 1;
+    const s = Math.sin(angle / 2) / length;
+    return new Quaternion(axis.x * s, axis.y * s, axis.z * s, Math.cos(angle / 2));
+  }
+
+  /**
+   * Rotation that turns the x, y and -z axes into the right, up and forward
+   * vectors of a view basis (the usual convention of a camera looking down -z)
+   * @param {Object} basis - { right, up, forward } orthonormal unit vectors
+   * @returns {Quaternion} - The rotation
+   */
+  static fromBasis({ right, up, forward }) {
+    // Rotation matrix columns are right, up and backward (right × up = backward)
+    const m00 = right.x, m01 = up.x, m02 = -forward.x;
+    const m10 = right.y, m11 = up.y, m12 = -forward.y;
+    const m20 = right.z, m21 = up.z, m22 = -forward.z;
+    const trace = m00 + m11 + m22;
+
+    // Divide by the largest component to stay accurate for every rotation
+    let q;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1);
+      q = new Quaternion((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s);
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+      q = new Quaternion(0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+    } else if (m11 > m22) {
+      const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+      q = new Quaternion((m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s);
+    } else {
+      const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+      q = new Quaternion((m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s);
+    }
+    return q.normalize();
+  }
+
+  /**
+   * Create a quaternion from a { x, y, z, w } object
+   * @param {Quaternion|Object} value - Quaternion or plain object
+   * @returns {Quaternion} - A new quaternion
+   * @throws {TypeError} - If a component is not a finite number
+   */
+  static from(value) {
+    if (!value || !['x', 'y', 'z', 'w'].every(key => typeof value[key] === 'number' && isFinite(value[key]))) {
+      throw new TypeError('Quaternion: expected an object with numeric x, y, z and w');
+    }
+    return new Quaternion(value.x, value.y, value.z, value.w);
+  }
+
+  /**
+   * Spherical linear interpolation along the shortest arc
+   * @param {Quaternion} a - Start rotation
+   * @param {Quaternion} b - End rotation
+   * @param {number} t - Progress from 0 to 1
+   * @returns {Quaternion} - Interpolated rotation
+   */
+  static slerp(a, b, t) {
+    let dot = a.dot(b);
+
+    // q and -q are the same rotation; flip one to take the short way round
+    let bx = b.x, by = b.y, bz = b.z, bw = b.w;
+    if (dot < 0) {
+      dot = -dot;
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+
+    // Nearly identical rotations: linear interpolation avoids dividing by sin(0)
+    let wa = 1 - t;
+    let wb = t;
+    if (dot < 0.9995) {
+      const theta = Math.acos(dot);
+      const sinTheta = Math.sin(theta);
+      wa = Math.sin((1 - t) * theta) / sinTheta;
+      wb = Math.sin(t * theta) / sinTheta;
+    }
+
+    return new Quaternion(
+      a.x * wa + bx * wb,
+      a.y * wa + by * wb,
+      a.z * wa + bz * wb,
+      a.w * wa + bw * wb
+    ).normalize();
+  }
+
+  /**
+   * Combine two rotations: the result applies q first, then this one
+   * @param {Quaternion} q - Rotation applied first
+   * @returns {Quaternion} - Combined rotation
+   */
+  multiply(q) {
+    return new Quaternion(
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+      this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z
+    );
+  }
+
+  /**
+   * Dot product of two quaternions
+   * @param {Quaternion} q - Other quaternion
+   * @returns {number} - Dot product
+   */
+  dot(q) {
+    return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+  }
+
+  /**
+   * Scale to unit length
+   * @returns {Quaternion} - Normalized copy (the identity for a zero quaternion)
+   */
+  normalize() {
+    const length = Math.hypot(this.x, this.y, this.z, this.w);
+    if (length === 0) return new Quaternion();
+    return new Quaternion(this.x / length, this.y / length, this.z / length, this.w / length);
+  }
+
+  /**
+   * Rotate a vector
+   * @param {Object} v - Vector { x, y, z }
+   * @returns {Object} - Rotated vector
+   */
+  rotateVector(v) {
+    // v' = v + 2w(q × v) + 2q × (q × v)
+    const tx = 2 * (this.y * v.z - this.z * v.y);
+    const ty = 2 * (this.z * v.x - this.x * v.z);
+    const tz = 2 * (this.x * v.y - this.y * v.x);
+    return {
+      x: v.x + this.w * tx + (this.y * tz - this.z * ty),
+      y: v.y + this.w * ty + (this.z * tx - this.x * tz),
+      z: v.z + this.w * tz + (this.x * ty - this.y * tx)
+    };
+  }
+
+  /**
+   * The view basis of this rotation: the rotated x, y and -z axes
+   * @returns {Object} - { right, up, forward } unit vectors
+   */
+  toBasis() {
+    return {
+      right: this.rotateVector({ x: 1, y: 0, z: 0 }),
+      up: this.rotateVector({ x: 0, y: 1, z: 0 }),
+      forward: this.rotateVector({ x: 0, y: 0, z: -1 })
+    };
+  }
+
+  /**
+   * Copy this quaternion
+   * @returns {Quaternion} - A new quaternion
+   */
+  clone() {
+    return new Quaternion(this.x, this.y, this.z, this.w);
+  }
+
+  /**
+   * Describe the quaternion as JSON
+   * @returns {Object} - { x, y, z, w }
+   */
+  toJSON() {
+    return { x: this.x, y: this.y, z: this.z, w: this.w };
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Quaternion;
+}
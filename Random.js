@@ -0,0 +1,106 @@
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ * Makes particle layouts, shapes and respawns reproducible for a given seed
+ */
+class Random {
+  /**
+   * Create a new generator
+   * @param {number|string|null} seed - Seed value (null = random seed)
+   */
+  constructor(seed = null) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   * @param {number|string|null} seed - Seed value (null = random seed)
+   */
+  setSeed(seed) {
+    if (seed === null || seed === undefined) {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+    this.seed = seed;
+    this.state = Random.hashSeed(seed);
+  }
+
+  /**
+   * Convert a number or string seed to a 32-bit integer state
+   * @param {number|string} seed - Seed value
+   * @returns {number} - Unsigned 32-bit state
+   */
+  static hashSeed(seed) {
+    if (typeof seed === 'number') {
+      return seed >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    let hash = 2166136261;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next value in the sequence
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in a range
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} - Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Float between -1 and 1, the usual spread for positions and velocities
+   * @returns {number} - Float in [-1, 1)
+   */
+  signed() {
+    return this.next() * 2 - 1;
+  }
+
+  /**
+   * Integer below a limit
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} - Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Capture the seed and position in the sequence
+   * @returns {Object} - JSON-safe generator state
+   */
+  serialize() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Continue the sequence from a state captured by serialize()
+   * @param {Object} state - Generator state
+   */
+  restore(state) {
+    this.seed = state.seed;
+    this.state = state.state >>> 0;
+  }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Random;
+}
@@ -13,6 +13,22 @@ class Renderer {
     this.canvas = canvas;
     this.ctx = ctx;
     this.config = config;
+    this.pixelRatio = 1;
+  }
+  
+  /**
+   * Update the renderer after the canvas has been resized
+   * @param {number} width - Canvas width in device pixels
+   * @param {number} height - Canvas height in device pixels
+   * @param {number} pixelRatio - Device pixels per CSS pixel
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.pixelRatio = pixelRatio;
+    
+    // Resizing a canvas resets its context state, so restore the line width
+    if (this.ctx) {
+      this.ctx.lineWidth = pixelRatio;
+    }
   }
   
   /**
@@ -25,6 +41,29 @@ class Renderer {
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
   }
   
+  /**
+   * Release the 2D context state held by this renderer
+   */
+  destroy() {
+    if (this.ctx) {
+      this.ctx.shadowBlur = 0;
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    this.ctx = null;
+    this.canvas = null;
+  }
+  
+  /**
+   * Get the radius a particle is drawn with, grown while it is highlighted
+   * @param {Particle} particle - Particle to measure
+   * @param {number} scale - Perspective scale of the particle on screen
+   * @returns {number} - Radius in device pixels
+   */
+  getPointRadius(particle, scale) {
+    const highlight = particle.highlighted && this.config.HIGHLIGHT_COLOR;
+    return particle.size * scale * (highlight ? this.config.HIGHLIGHT_SCALE : 1);
+  }
+  
   /**
    * Draw a single particle with chromatic aberration effect
    * @param {Object} particle - Particle to draw
@@ -34,7 +73,8 @@ class Renderer {
   drawParticle(particle, camera, velocityFactor) {
     if (!this.ctx || !particle.screen) return;
     
-    const r = particle.size * particle.screen.scale;
+    const highlight = particle.highlighted && this.config.HIGHLIGHT_COLOR;
+    const r = this.getPointRadius(particle, particle.screen.scale);
     const screenR = camera.getScreenRightVector();
     
     // Calculate chromatic offset using inverse scale for distance
@@ -47,7 +87,7 @@ class Renderer {
     );
     
     // Enable shadow for glow effect
-    this.ctx.shadowBlur = 8;
+    this.ctx.shadowBlur = 8 * this.pixelRatio;
     
     // Draw red channel
     this.ctx.shadowColor = 'rgba(255,0,0,0.5)';
@@ -63,9 +103,10 @@ class Renderer {
     this.ctx.arc(particle.screen.x + offset.x, particle.screen.y + offset.y, r, 0, Math.PI * 2);
     this.ctx.fill();
     
-    // Draw white center
-    this.ctx.shadowColor = this.config.PARTICLE_COLOR;
-    this.ctx.fillStyle = `rgba(255,255,255,${particle.opacity})`;
+    // Draw center in the particle color, or the highlight color while hovered
+    const color = highlight || this.config.PARTICLE_COLOR;
+    this.ctx.shadowColor = color;
+    this.ctx.fillStyle = Color.toRgba(color, particle.opacity);
     this.ctx.beginPath();
     this.ctx.arc(particle.screen.x, particle.screen.y, r, 0, Math.PI * 2);
     this.ctx.fill();
@@ -125,9 +166,12 @@ class Renderer {
     this.ctx.lineTo(p2.screen.x - offset2.x, p2.screen.y - offset2.y);
     this.ctx.stroke();
     
-    // Draw the base white channel
+    // Draw the base channel in the particle color; connections of a hovered particle are highlighted
+    const highlight = (p1.highlighted || p2.highlighted) && this.config.HIGHLIGHT_COLOR;
     this.ctx.beginPath();
-    this.ctx.strokeStyle = `rgba(255,255,255,${connectionAlpha})`;
+    this.ctx.strokeStyle = highlight
+      ? Color.toRgba(highlight, Math.min(connectionAlpha * 2, 1))
+      : Color.toRgba(this.config.PARTICLE_COLOR, connectionAlpha);
     this.ctx.moveTo(p1.screen.x, p1.screen.y);
     this.ctx.lineTo(p2.screen.x, p2.screen.y);
     this.ctx.stroke();
@@ -152,14 +196,14 @@ class Renderer {
     const centerY = Math.round(this.canvas.height / 2);
     const dx = x - centerX;
     const dy = y - centerY;
-    const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
+    const distanceFromCenter = Math.sqrt(dx * dx + dy * dy) / this.pixelRatio;
     
     // Calculate offset based on distance and scroll velocity
     const distanceOffset = distanceFromCenter * this.config.CHROMATIC_DISTANCE_FACTOR;
     const velocityOffset = velocityFactor * this.config.CHROMATIC_VELOCITY_FACTOR;
     
     // Combine both factors and round to prevent jitter
-    const totalOffset = Math.round(baseOffset * (1 + distanceOffset + velocityOffset) * 10) / 10;
+    const totalOffset = Math.round(baseOffset * this.pixelRatio * (1 + distanceOffset + velocityOffset) * 10) / 10;
     
     // Use camera's right vector for consistent left/right offset
     return {
@@ -0,0 +1,485 @@
+/**
+ * SceneLoader - Loads declarative JSON scenes into a Particle3DMesh
+ * A scene describes config, named shapes with options, exclusion zones and
+ * camera preferences, named camera paths, and a sequence of timed steps played
+ * by the mesh's Sequencer, so scenes can be authored without JavaScript.
+ *
+ * Scene format (every top-level key is optional):
+ * {
+ *   "version": 1,
+ *   "name": "Landing intro",
+ *   "config": { "preset": "calm", "PARTICLE_COUNT": 400 },
+ *   "shapes": {
+ *     "eye": {
+ *       "type": "iris",
+ *       "options": { "radius": 400 },
+ *       "exclusionZones": [{ "type": "sphere", "x": 0, "y": 0, "z": 0, "radius": 120 }],
+ *       "camera": { "angle": 1.57, "elevation": 0, "distance": 700, "lookAt": { "x": 0, "y": 0, "z": 0 } }
+ *     }
+ *   },
+ *   "cameraPaths": {
+ *     "flythrough": {
+ *       "loop": false,
+ *       "keyframes": [
+ *         { "position": { "x": 0, "y": 200, "z": 900 }, "lookAt": { "x": 0, "y": 0, "z": 0 } },
+ *         { "position": { "x": 0, "y": 0, "z": 0 }, "lookAt": { "x": 0, "y": 0, "z": -500 }, "duration": 3000 },
+ *         { "position": { "x": 0, "y": -200, "z": -900 }, "duration": 3000, "easing": "easeOut" }
+ *       ]
+ *     }
+ *   },
+ *   "shape": "eye",
+ *   "sequence": {
+ *     "loop": true,
+ *     "duration": 16000,
+ *     "steps": [
+ *       { "at": 8000, "name": "globe", "shape": "sphere", "duration": 2000, "easing": "easeInOut" },
+ *       { "after": 4000, "camera": { "distance": 900, "transitionDuration": 1500 } },
+ *       { "after": 2000, "camera": { "path": "flythrough" } },
+ *       { "at": 14000, "config": { "PARTICLE_SPEED": 0.5 } }
+ *     ]
+ *   }
+ * }
+ */
+class SceneLoader {
+  /**
+   * Create a new scene loader
+   * @param {Particle3DMesh} mesh - Mesh the scenes are loaded into
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.scene = null;
+  }
+
+  /**
+   * Validate a scene and apply it to the mesh
+   * @param {Object|string} scene - Scene object or its JSON string
+   * @throws {Error} - If the scene is invalid; the message lists every problem
+   */
+  load(scene) {
+    if (typeof scene === 'string') {
+      scene = JSON.parse(scene);
+    }
+
+    const errors = this.validate(scene);
+    if (errors.length > 0) {
+      throw new Error(`SceneLoader: invalid scene\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.stop();
+    this.scene = scene;
+
+    if (scene.config) {
+      this.mesh.setConfig(scene.config);
+    }
+
+    Object.keys(scene.shapes || {}).forEach(name => {
+      this.mesh.registerShape(name, this.createShapeFunction(name, scene.shapes[name]));
+    });
+
+    // Jump straight to the opening shape
+    if (scene.shape) {
+      this.mesh.transitionToShape(scene.shape, {}, 0);
+    }
+
+    if (scene.sequence) {
+      this.play(scene.sequence);
+    }
+  }
+
+  /**
+   * Play a sequence of timed steps on the mesh's sequencer
+   * @param {Object} sequence - Sequence with steps, loop and duration
+   */
+  play(sequence) {
+    const sequencer = this.mesh.sequencer;
+
+    sequencer.clear();
+    sequencer.setLoop(!!sequence.loop, sequence.duration !== undefined ? sequence.duration : null);
+    sequence.steps.forEach(step => sequencer.add(this.resolveStep(step)));
+    sequencer.play();
+  }
+
+  /**
+   * Replace a step's camera path name with the scene's path definition
+   * @param {Object} step - Sequence step
+   * @returns {Object} - Step the sequencer can run
+   */
+  resolveStep(step) {
+    if (!step.camera || typeof step.camera.path !== 'string') return step;
+
+    return { ...step, camera: { ...step.camera, path: this.scene.cameraPaths[step.camera.path] } };
+  }
+
+  /**
+   * Stop sequence playback; the current shape stays on screen
+   */
+  stop() {
+    this.mesh.sequencer.stop();
+  }
+
+  /**
+   * Build the shape function registered for a scene shape
+   * @param {string} name - Name the shape is registered under
+   * @param {Object} definition - Scene shape definition
+   * @returns {Function} - Shape function called with (particles, options, random)
+   */
+  createShapeFunction(name, definition) {
+    const baseShape = this.mesh.shapeManager.shapes[definition.type];
+    const config = this.mesh.config;
+
+    return (particles, options = {}, random) => {
+      const shape = baseShape(particles, { ...(definition.options || {}), ...options }, random);
+      const result = { ...shape, name };
+
+      const zones = (definition.exclusionZones || []).map(zone => {
+        const { type, ...params } = zone;
+        return new ExclusionZone(type, { x: 0, y: 0, z: 0, axis: 'z', ...params });
+      });
+
+      if (zones.length > 0) {
+        // Keep any zone the base shape defines alongside the scene's zones
+        const baseCrosses = shape.hasExclusionZone ? shape.crossesExclusionZone : null;
+        result.hasExclusionZone = true;
+        result.exclusionZones = (shape.hasExclusionZone && shape.exclusionZone ? [shape.exclusionZone] : []).concat(zones);
+        result.exclusionZone = result.exclusionZones[0];
+        result.crossesExclusionZone = (p1, p2) =>
+          (baseCrosses !== null && baseCrosses(p1, p2)) || zones.some(zone => zone.intersectsLine(p1, p2));
+      }
+
+      if (definition.camera) {
+        const camera = definition.camera;
+        result.cameraPreferences = {
+          enabled: config.SHAPE_SPECIFIC_CAMERA,
+          angle: camera.angle,
+          elevation: camera.elevation,
+          distance: camera.distance,
+          lookAtPoint: camera.lookAt,
+          roll: camera.roll,
+          fov: camera.fov,
+          dolly: camera.dolly,
+          autoFrame: camera.autoFrame,
+          transitionDuration: camera.transitionDuration
+        };
+      }
+
+      return result;
+    };
+  }
+
+  /**
+   * Check a scene against the format
+   * @param {Object} scene - Scene object
+   * @returns {Array<string>} - Problems found, empty if the scene is valid
+   */
+  validate(scene) {
+    const errors = [];
+
+    if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+      return ['scene must be an object'];
+    }
+
+    if (scene.version !== undefined && scene.version !== SceneLoader.VERSION) {
+      errors.push(`version ${scene.version} is not supported (expected ${SceneLoader.VERSION})`);
+    }
+    if (scene.name !== undefined && typeof scene.name !== 'string') {
+      errors.push('name must be a string');
+    }
+
+    Object.keys(scene).forEach(key => {
+      if (!SceneLoader.KEYS.includes(key)) {
+        errors.push(`unknown key "${key}"`);
+      }
+    });
+
+    if (scene.config !== undefined) {
+      if (!SceneLoader.isObject(scene.config)) {
+        errors.push('config must be an object');
+      } else {
+        try {
+          new Config({ ...this.mesh.customConfig, ...scene.config });
+        } catch (error) {
+          errors.push(`config: ${error.message}`);
+        }
+      }
+    }
+
+    // Shape names a step may use: registered shapes plus the scene's own
+    const shapeNames = Object.keys(this.mesh.shapeManager.shapes);
+
+    if (scene.shapes !== undefined) {
+      if (!SceneLoader.isObject(scene.shapes)) {
+        errors.push('shapes must be an object mapping names to shape definitions');
+      } else {
+        Object.keys(scene.shapes).forEach(name => {
+          this.validateShape(scene.shapes[name], `shapes.${name}`, errors);
+          shapeNames.push(name);
+        });
+      }
+    }
+
+    if (scene.shape !== undefined && !shapeNames.includes(scene.shape)) {
+      errors.push(`shape "${scene.shape}" is not a registered or scene shape`);
+    }
+
+    // Camera path names a step may use
+    const pathNames = [];
+
+    if (scene.cameraPaths !== undefined) {
+      if (!SceneLoader.isObject(scene.cameraPaths)) {
+        errors.push('cameraPaths must be an object mapping names to camera paths');
+      } else {
+        Object.keys(scene.cameraPaths).forEach(name => {
+          this.validateCameraPath(scene.cameraPaths[name], `cameraPaths.${name}`, errors);
+          pathNames.push(name);
+        });
+      }
+    }
+
+    if (scene.sequence !== undefined) {
+      this.validateSequence(scene.sequence, shapeNames, pathNames, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a scene shape definition
+   * @param {Object} definition - Shape definition
+   * @param {string} path - Location in the scene for error messages
+   * @param {Array<string>} errors - Problems found so far
+   */
+  validateShape(definition, path, errors) {
+    if (!SceneLoader.isObject(definition)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!this.mesh.shapeManager.shapes[definition.type]) {
+      const available = Object.keys(this.mesh.shapeManager.shapes).join(', ');
+      errors.push(`${path}.type must name a registered shape (${available}), got ${JSON.stringify(definition.type)}`);
+    }
+    if (definition.options !== undefined && !SceneLoader.isObject(definition.options)) {
+      errors.push(`${path}.options must be an object`);
+    }
+
+    if (definition.exclusionZones !== undefined) {
+      if (!Array.isArray(definition.exclusionZones)) {
+        errors.push(`${path}.exclusionZones must be an array`);
+      } else {
+        definition.exclusionZones.forEach((zone, i) => this.validateZone(zone, `${path}.exclusionZones[${i}]`, errors));
+      }
+    }
+
+    if (definition.camera !== undefined) {
+      this.validateCamera(definition.camera, `${path}.camera`, errors);
+    }
+  }
+
+  /**
+   * Check a camera viewpoint
+   * @param {Object} camera - Camera definition
+   * @param {string} path - Location in the scene for error messages
+   * @param {Array<string>} errors - Problems found so far
+   */
+  validateCamera(camera, path, errors) {
+    if (!SceneLoader.isObject(camera)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    ['angle', 'elevation', 'distance', 'roll', 'transitionDuration'].forEach(key => {
+      if (camera[key] !== undefined && !SceneLoader.isNumber(camera[key])) {
+        errors.push(`${path}.${key} must be a number`);
+      }
+    });
+    if (camera.fov !== undefined && !(SceneLoader.isNumber(camera.fov) && camera.fov > 0 && camera.fov < 180)) {
+      errors.push(`${path}.fov must be a number of degrees between 0 and 180`);
+    }
+    ['dolly', 'autoFrame'].forEach(key => {
+      if (camera[key] !== undefined && typeof camera[key] !== 'boolean') {
+        errors.push(`${path}.${key} must be a boolean`);
+      }
+    });
+    if (camera.lookAt !== undefined && !SceneLoader.isPoint(camera.lookAt)) {
+      errors.push(`${path}.lookAt must be an object with numeric x, y and z`);
+    }
+  }
+
+  /**
+   * Check a camera path definition
+   * @param {Object} definition - Path definition with keyframes, loop and curve
+   * @param {string} path - Location in the scene for error messages
+   * @param {Array<string>} errors - Problems found so far
+   */
+  validateCameraPath(definition, path, errors) {
+    if (!SceneLoader.isObject(definition)) {
+      errors.push(`${path} must be an object with a keyframes array`);
+      return;
+    }
+    if (definition.loop !== undefined && typeof definition.loop !== 'boolean') {
+      errors.push(`${path}.loop must be a boolean`);
+    }
+
+    try {
+      this.mesh.camera.createPath(definition);
+    } catch (error) {
+      errors.push(`${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check an exclusion zone definition
+   * @param {Object} zone - Zone definition
+   * @param {string} path - Location in the scene for error messages
+   * @param {Array<string>} errors - Problems found so far
+   */
+  validateZone(zone, path, errors) {
+    if (!SceneLoader.isObject(zone)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const required = SceneLoader.ZONE_PARAMS[zone.type];
+    if (!required) {
+      errors.push(`${path}.type must be one of ${Object.keys(SceneLoader.ZONE_PARAMS).join(', ')}, got ${JSON.stringify(zone.type)}`);
+      return;
+    }
+
+    required.forEach(key => {
+      if (!SceneLoader.isNumber(zone[key]) || zone[key] <= 0) {
+        errors.push(`${path}.${key} must be a positive number`);
+      }
+    });
+    ['x', 'y', 'z'].forEach(key => {
+      if (zone[key] !== undefined && !SceneLoader.isNumber(zone[key])) {
+        errors.push(`${path}.${key} must be a number`);
+      }
+    });
+    if (zone.type === 'cylinder' && zone.axis !== undefined && !['x', 'y', 'z'].includes(zone.axis)) {
+      errors.push(`${path}.axis must be 'x', 'y' or 'z'`);
+    }
+  }
+
+  /**
+   * Check the sequence of timed steps
+   * @param {Object} sequence - Sequence definition
+   * @param {Array<string>} shapeNames - Shape names steps may use
+   * @param {Array<string>} pathNames - Camera path names steps may use
+   * @param {Array<string>} errors - Problems found so far
+   */
+  validateSequence(sequence, shapeNames, pathNames, errors) {
+    if (!SceneLoader.isObject(sequence)) {
+      errors.push('sequence must be an object');
+      return;
+    }
+    if (!Array.isArray(sequence.steps)) {
+      errors.push('sequence.steps must be an array');
+      return;
+    }
+    if (sequence.loop !== undefined && typeof sequence.loop !== 'boolean') {
+      errors.push('sequence.loop must be a boolean');
+    }
+    if (sequence.duration !== undefined && (!SceneLoader.isNumber(sequence.duration) || sequence.duration < 0)) {
+      errors.push('sequence.duration must be a non-negative number');
+    }
+
+    const easings = this.mesh.animationController.transitions;
+    sequence.steps.forEach((step, i) => {
+      const path = `sequence.steps[${i}]`;
+      if (!SceneLoader.isObject(step)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (step.at !== undefined) {
+        if (!SceneLoader.isNumber(step.at) || step.at < 0) {
+          errors.push(`${path}.at must be a non-negative number of milliseconds`);
+        }
+      } else if (step.after !== undefined && (!SceneLoader.isNumber(step.after) || step.after < 0)) {
+        errors.push(`${path}.after must be a non-negative number of milliseconds`);
+      }
+      if (step.name !== undefined && typeof step.name !== 'string') {
+        errors.push(`${path}.name must be a string`);
+      }
+      if (step.shape === undefined && step.camera === undefined && step.config === undefined) {
+        errors.push(`${path} needs a shape, camera or config`);
+      }
+      if (step.shape !== undefined && !shapeNames.includes(step.shape)) {
+        errors.push(`${path}.shape ${JSON.stringify(step.shape)} is not a registered or scene shape`);
+      }
+      if (SceneLoader.isObject(step.camera) && step.camera.path !== undefined) {
+        if (typeof step.camera.path !== 'string') {
+          this.validateCameraPath(step.camera.path, `${path}.camera.path`, errors);
+        } else if (!pathNames.includes(step.camera.path)) {
+          errors.push(`${path}.camera.path ${JSON.stringify(step.camera.path)} is not a scene camera path`);
+        }
+      } else if (step.camera !== undefined && step.camera !== 'free') {
+        this.validateCamera(step.camera, `${path}.camera`, errors);
+      }
+      if (step.config !== undefined) {
+        if (!SceneLoader.isObject(step.config)) {
+          errors.push(`${path}.config must be an object`);
+        } else {
+          try {
+            new Config({ ...this.mesh.customConfig, ...step.config });
+          } catch (error) {
+            errors.push(`${path}.config: ${error.message}`);
+          }
+        }
+      }
+      if (step.duration !== undefined && (!SceneLoader.isNumber(step.duration) || step.duration < 0)) {
+        errors.push(`${path}.duration must be a non-negative number`);
+      }
+      if (step.easing !== undefined && !easings[step.easing]) {
+        errors.push(`${path}.easing must be one of ${Object.keys(easings).join(', ')}, got ${JSON.stringify(step.easing)}`);
+      }
+      if (step.options !== undefined && !SceneLoader.isObject(step.options)) {
+        errors.push(`${path}.options must be an object`);
+      }
+    });
+  }
+
+  /**
+   * Check for a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for plain objects
+   */
+  static isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Check for a finite number
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for finite numbers
+   */
+  static isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  /**
+   * Check for a 3D point
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects with numeric x, y and z
+   */
+  static isPoint(value) {
+    return SceneLoader.isObject(value) && ['x', 'y', 'z'].every(key => SceneLoader.isNumber(value[key]));
+  }
+}
+
+// Version of the scene format
+SceneLoader.VERSION = 1;
+
+// Top-level keys a scene may contain
+SceneLoader.KEYS = ['version', 'name', 'config', 'shapes', 'shape', 'cameraPaths', 'sequence'];
+
+// Required size parameters of each exclusion zone type
+SceneLoader.ZONE_PARAMS = {
+  sphere: ['radius'],
+  cylinder: ['radius', 'height'],
+  box: ['width', 'height', 'depth']
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneLoader;
+}
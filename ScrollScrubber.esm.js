@@ -0,0 +1,323 @@
+/**
+ * ScrollScrubber - Binds shape transitions to scroll position
+ * Maps the scroll position of the page or a scroll container onto a list of
+ * shapes: between two consecutive shapes the particles sit part-way through
+ * the transition, so scrolling down morphs forward and scrolling up reverses.
+ * Each shape's particle targets are computed once and cached, so scrubbing
+ * only interpolates with Particle.updateTransition().
+ */
+class ScrollScrubber {
+  /**
+   * Create a new scroll scrubber
+   * @param {Particle3DMesh} mesh - Mesh whose particles are scrubbed
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.isBound = false;
+
+    this.steps = [];
+    this.positions = [];     // Scroll progress (0 to 1) at which each shape is fully formed
+    this.cache = null;       // Target positions per step: Array<Float32Array> of x, y, z triples
+    this.shapes = [];        // Shape objects created for each step
+
+    this.target = null;
+    this.sections = null;
+    this.easing = null;
+    this.smoothing = 1;
+
+    this.progress = 0;       // Progress currently shown
+    this.targetProgress = 0; // Progress read from the scroll position
+    this.activeIndex = -1;   // Step the particles are closest to
+
+    this.handleScroll = null;
+    this.handleResize = null;
+  }
+
+  /**
+   * Start scrubbing through a list of shapes with the scroll position
+   * @param {Array<string|Object>} steps - Shape names, or { shape, options } objects, in scroll order
+   * @param {Object} [options] - Scrubbing options
+   * @param {Window|HTMLElement} [options.target] - Scroll container (defaults to the page)
+   * @param {Array<HTMLElement>} [options.sections] - One element per shape; a shape is fully
+   *   formed when its section reaches the top of the viewport (defaults to evenly spaced shapes)
+   * @param {string} [options.easing] - Easing between shapes (defaults to DEFAULT_TRANSITION_TYPE)
+   * @param {number} [options.smoothing] - Fraction of the remaining distance covered per frame (1 = no smoothing)
+   * @throws {Error} - If fewer than two shapes are given or a shape is not registered
+   */
+  bind(steps, options = {}) {
+    if (!Array.isArray(steps) || steps.length < 2) {
+      throw new Error('ScrollScrubber: at least two shapes are needed to scrub between');
+    }
+
+    const normalized = steps.map(step => (typeof step === 'string' ? { shape: step, options: {} } : { options: {}, ...step }));
+    normalized.forEach(step => {
+      if (!this.mesh.shapeManager.shapes[step.shape]) {
+        throw new Error(`ScrollScrubber: shape "${step.shape}" is not registered`);
+      }
+    });
+
+    const easings = this.mesh.animationController.transitions;
+    if (options.easing !== undefined && !easings[options.easing]) {
+      throw new Error(`ScrollScrubber: unknown easing "${options.easing}"`);
+    }
+    if (options.sections !== undefined && (!Array.isArray(options.sections) || options.sections.length !== steps.length)) {
+      throw new Error('ScrollScrubber: sections must have one element per shape');
+    }
+
+    this.unbind();
+
+    this.steps = normalized;
+    this.target = options.target || (typeof window !== 'undefined' ? window : null);
+    this.sections = options.sections || null;
+    this.easing = options.easing || null;
+    this.smoothing = options.smoothing !== undefined ? Math.min(Math.max(options.smoothing, 0.01), 1) : 1;
+    this.cache = null;
+    this.activeIndex = -1;
+    this.isBound = true;
+
+    // Scrubbing owns the particles, so timed transitions would fight it
+    this.mesh.sequencer.stop();
+    this.mesh.cancelTransition();
+
+    this.measure();
+
+    if (this.target) {
+      this.handleScroll = () => this.setProgress(this.readProgress());
+      this.handleResize = () => {
+        this.measure();
+        this.handleScroll();
+      };
+      this.target.addEventListener('scroll', this.handleScroll, { passive: true });
+      if (typeof window !== 'undefined') {
+        window.addEventListener('resize', this.handleResize);
+      }
+      this.targetProgress = this.readProgress();
+    }
+
+    // Start on the shape matching the current scroll position without animating
+    this.progress = this.targetProgress;
+    this.apply();
+  }
+
+  /**
+   * Stop scrubbing. Particles stay where they are and resume free movement.
+   */
+  unbind() {
+    if (!this.isBound) return;
+
+    if (this.target && this.handleScroll) {
+      this.target.removeEventListener('scroll', this.handleScroll);
+    }
+    if (this.handleResize && typeof window !== 'undefined') {
+      window.removeEventListener('resize', this.handleResize);
+    }
+    this.handleScroll = null;
+    this.handleResize = null;
+
+    // Keep the shape the particles are closest to, with its exclusion zones
+    const shape = this.shapes[this.activeIndex];
+    if (shape) {
+      this.mesh.currentShape = shape;
+    }
+    (this.mesh.particles || []).forEach(particle => particle.cancelTransition());
+
+    this.isBound = false;
+    this.target = null;
+    this.sections = null;
+    this.cache = null;
+    this.shapes = [];
+  }
+
+  /**
+   * Work out the scroll progress at which each shape is fully formed
+   */
+  measure() {
+    const count = this.steps.length;
+    const range = this.getScrollRange();
+
+    if (!this.sections || range <= 0) {
+      this.positions = this.steps.map((step, i) => i / (count - 1));
+      return;
+    }
+
+    const isPage = typeof window !== 'undefined' && this.target === window;
+    const containerTop = isPage ? 0 : this.target.getBoundingClientRect().top;
+    const scrollTop = this.getScrollTop();
+
+    // Positions must not decrease, or the segment lookup would break
+    let previous = 0;
+    this.positions = this.sections.map(section => {
+      const top = section.getBoundingClientRect().top - containerTop + scrollTop;
+      previous = Math.max(previous, Math.min(Math.max(top / range, 0), 1));
+      return previous;
+    });
+  }
+
+  /**
+   * Current scroll offset of the target
+   * @returns {number} - Scroll offset in CSS pixels
+   */
+  getScrollTop() {
+    if (!this.target) return 0;
+    if (typeof window !== 'undefined' && this.target === window) {
+      return window.pageYOffset || document.documentElement.scrollTop || 0;
+    }
+    return this.target.scrollTop || 0;
+  }
+
+  /**
+   * Distance the target can scroll
+   * @returns {number} - Maximum scroll offset in CSS pixels
+   */
+  getScrollRange() {
+    if (!this.target) return 0;
+    if (typeof window !== 'undefined' && this.target === window) {
+      return Math.max(document.documentElement.scrollHeight - window.innerHeight, 0);
+    }
+    return Math.max(this.target.scrollHeight - this.target.clientHeight, 0);
+  }
+
+  /**
+   * Read the scroll position as progress through the page
+   * @returns {number} - Progress from 0 to 1
+   */
+  readProgress() {
+    const range = this.getScrollRange();
+    return range > 0 ? Math.min(Math.max(this.getScrollTop() / range, 0), 1) : 0;
+  }
+
+  /**
+   * Set the progress to scrub to; also usable without a scroll target
+   * @param {number} progress - Progress from 0 (first shape) to 1 (last shape)
+   */
+  setProgress(progress) {
+    this.targetProgress = Math.min(Math.max(progress, 0), 1);
+  }
+
+  /**
+   * Ease the shown progress toward the scroll position and place the particles
+   * @param {number} frameScale - Elapsed time in 60 Hz frames
+   */
+  update(frameScale) {
+    if (!this.isBound) return;
+
+    if (this.smoothing >= 1) {
+      this.progress = this.targetProgress;
+    } else {
+      const factor = 1 - Math.pow(1 - this.smoothing, frameScale);
+      this.progress += (this.targetProgress - this.progress) * factor;
+      if (Math.abs(this.targetProgress - this.progress) < 1e-4) {
+        this.progress = this.targetProgress;
+      }
+    }
+
+    this.apply();
+  }
+
+  /**
+   * Place every particle part-way between the two shapes around the current progress
+   */
+  apply() {
+    const particles = this.mesh.particles;
+
+    // Shapes are rebuilt when the particle count changes
+    if (!this.cache || this.cache[0].length !== particles.length * 3) {
+      this.buildCache();
+    }
+
+    const { from, to, t } = this.getSegment(this.progress);
+    const start = this.cache[from];
+    const end = this.cache[to];
+    const easing = this.mesh.animationController.transitions[this.easing || this.mesh.config.DEFAULT_TRANSITION_TYPE]
+      || this.mesh.animationController.transitions.easeInOut;
+
+    particles.forEach((particle, i) => {
+      particle.originalX = start[i * 3];
+      particle.originalY = start[i * 3 + 1];
+      particle.originalZ = start[i * 3 + 2];
+      particle.targetX = end[i * 3];
+      particle.targetY = end[i * 3 + 1];
+      particle.targetZ = end[i * 3 + 2];
+      particle.inTransition = true;
+      particle.updateTransition(t, easing);
+    });
+
+    this.setActiveShape(t < 0.5 ? from : to, t === 0);
+  }
+
+  /**
+   * Find the pair of shapes around a progress value
+   * @param {number} progress - Progress from 0 to 1
+   * @returns {Object} - { from, to, t } step indices and progress between them
+   */
+  getSegment(progress) {
+    const positions = this.positions;
+    const last = positions.length - 1;
+
+    // At or past a shape's position the particles rest on it; t stays below 1 so
+    // updateTransition() never ends the transition while scrubbing
+    for (let i = 0; i < last; i++) {
+      if (progress < positions[i + 1]) {
+        const span = positions[i + 1] - positions[i];
+        const t = span > 0 ? Math.max(progress - positions[i], 0) / span : 0;
+        return { from: i, to: i + 1, t };
+      }
+    }
+    return { from: last, to: last, t: 0 };
+  }
+
+  /**
+   * Create every shape once and store its particle targets
+   */
+  buildCache() {
+    const particles = this.mesh.particles;
+
+    this.shapes = [];
+    this.cache = [];
+
+    // Shape functions write targets onto the particles, so read them back after each one
+    this.steps.forEach(step => {
+      const targets = new Float32Array(particles.length * 3);
+      this.shapes.push(this.mesh.shapeManager.createShape(step.shape, particles, step.options));
+      particles.forEach((particle, i) => {
+        targets[i * 3] = particle.targetX;
+        targets[i * 3 + 1] = particle.targetY;
+        targets[i * 3 + 2] = particle.targetZ;
+      });
+      this.cache.push(targets);
+    });
+
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Make the shape the particles are closest to the mesh's current shape
+   * @param {number} index - Step index
+   * @param {boolean} settled - True when the particles rest exactly on the shape
+   */
+  setActiveShape(index, settled) {
+    const shape = this.shapes[index];
+    if (!shape) return;
+
+    // Exclusion zones only apply once the particles have arrived, as with transitions
+    this.mesh.currentShape = settled || !shape.hasExclusionZone
+      ? shape
+      : { ...shape, hasExclusionZone: false, exclusionZone: null, exclusionZones: null };
+
+    if (index === this.activeIndex) return;
+
+    const previous = this.activeIndex >= 0 ? this.steps[this.activeIndex].shape : null;
+    const step = this.steps[index];
+    this.activeIndex = index;
+
+    this.mesh.events.emit('shapechange', { shape: step.shape, previousShape: previous, options: step.options });
+
+    if (this.mesh.config.SHAPE_SPECIFIC_CAMERA) {
+      this.mesh.camera.setShapeTarget(shape);
+    }
+  }
+}
+
+// Export for module usage
+
+export default ScrollScrubber;
\ No newline at end of file
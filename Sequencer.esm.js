@@ -0,0 +1,406 @@
+/**
+ * Sequencer - Timeline of cues played on the mesh's simulation clock
+ * Schedules shape transitions, camera moves, config changes and callbacks at
+ * absolute or relative times, with looping, seeking, playback rate and pausing.
+ * Shape cues run through the mesh's AnimationController, so seeking lands
+ * part-way into a transition exactly as if it had played.
+ */
+class Sequencer {
+  /**
+   * Create a new sequencer
+   * @param {Particle3DMesh} mesh - Mesh the cues act on
+   */
+  constructor(mesh) {
+    this.mesh = mesh;
+    this.cues = [];
+
+    // Playback state
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.time = 0;           // Position on the timeline in ms
+    this.nextCue = 0;        // Index of the next cue to fire
+    this.iteration = 0;      // Completed loops
+    this.playbackRate = 1;
+    this.loop = false;
+    this.duration = null;    // Loop length in ms (null = when the last cue ends)
+    this.baseline = null;    // State the timeline started from, restored by seek()
+  }
+
+  /**
+   * Add a cue to the timeline
+   * @param {Object} cue - Cue definition
+   * @param {number} [cue.at] - Absolute time in ms
+   * @param {number} [cue.after] - Time in ms after the previously added cue (used when `at` is omitted)
+   * @param {string} [cue.name] - Name reported in 'cue' events
+   * @param {string} [cue.shape] - Shape to transition to
+   * @param {Object} [cue.options] - Options for the shape
+   * @param {number} [cue.duration] - Transition duration in ms (defaults to DEFAULT_TRANSITION_DURATION)
+   * @param {string} [cue.easing] - Easing function (defaults to DEFAULT_TRANSITION_TYPE)
+   * @param {Object|string} [cue.camera] - Viewpoint for Camera.moveTo() ({ angle, elevation, distance,
+   *   lookAt, roll, fov, dolly, transitionDuration }), { path } with a CameraPath, keyframes or path definition
+   *   to fly along, or 'free' to resume automatic rotation
+   * @param {Object} [cue.config] - Options passed to setConfig()
+   * @param {Function} [cue.call] - Function called with (mesh, cue)
+   * @returns {Sequencer} - This instance for chaining
+   * @throws {TypeError} - If the cue has no valid time or no action, or its camera path is invalid
+   * @throws {TypeError|RangeError} - If a config value does not match Config.schema
+   */
+  add(cue) {
+    const isTime = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+    if (cue.at !== undefined && !isTime(cue.at)) {
+      throw new TypeError(`Sequencer: cue "at" must be a non-negative number of ms, got ${cue.at}`);
+    }
+    if (cue.at === undefined && cue.after !== undefined && !isTime(cue.after)) {
+      throw new TypeError(`Sequencer: cue "after" must be a non-negative number of ms, got ${cue.after}`);
+    }
+    if (!cue.shape && !cue.camera && !cue.config && typeof cue.call !== 'function') {
+      throw new TypeError('Sequencer: a cue needs a shape, camera, config or call action');
+    }
+    if (cue.config !== undefined) {
+      if (!cue.config || typeof cue.config !== 'object') {
+        throw new TypeError('Sequencer: cue "config" must be an object of options');
+      }
+      // Fail here rather than when setConfig() runs the cue mid-frame
+      new Config({ ...this.mesh.customConfig, ...cue.config });
+    }
+
+    // Relative cues are placed after the cue added just before them
+    const previous = this.lastAdded ? this.lastAdded.at : 0;
+    const at = cue.at !== undefined ? cue.at : previous + (cue.after || 0);
+    const entry = { ...cue, at };
+
+    // Build camera paths up front so they are validated and their length is known
+    if (cue.camera && cue.camera.path) {
+      entry.camera = { ...cue.camera, path: this.mesh.camera.createPath(cue.camera.path) };
+    }
+
+    this.cues.push(entry);
+    this.lastAdded = entry;
+
+    // Stable sort keeps cues that share a time in the order they were added
+    this.cues.sort((a, b) => a.at - b.at);
+    return this;
+  }
+
+  /**
+   * Remove every cue and stop playback
+   * @returns {Sequencer} - This instance for chaining
+   */
+  clear() {
+    this.stop();
+    this.cues = [];
+    this.lastAdded = null;
+    this.baseline = null;
+    return this;
+  }
+
+  /**
+   * Set whether the timeline repeats
+   * @param {boolean} loop - True to loop
+   * @param {number|null} [duration] - Loop length in ms (null = when the last cue ends)
+   * @returns {Sequencer} - This instance for chaining
+   */
+  setLoop(loop, duration = null) {
+    this.loop = !!loop;
+    this.duration = duration;
+    return this;
+  }
+
+  /**
+   * Set the playback speed of the timeline (independent of the mesh's time scale)
+   * @param {number} rate - Playback rate, 1 = normal speed
+   * @returns {Sequencer} - This instance for chaining
+   */
+  setPlaybackRate(rate) {
+    if (typeof rate !== 'number' || !isFinite(rate) || rate < 0) {
+      throw new RangeError(`Sequencer: playback rate must be a non-negative number, got ${rate}`);
+    }
+    this.playbackRate = rate;
+    return this;
+  }
+
+  /**
+   * Get the length of one pass through the timeline
+   * @returns {number} - Duration in ms
+   */
+  getDuration() {
+    if (this.duration !== null) return this.duration;
+
+    return this.cues.reduce((end, cue) => Math.max(end, cue.at + this.getCueLength(cue)), 0);
+  }
+
+  /**
+   * Time a cue keeps running after it fires: its shape transition or its
+   * camera path, whichever is longer (looping paths count once)
+   * @param {Object} cue - Cue
+   * @returns {number} - Length in ms
+   */
+  getCueLength(cue) {
+    const transition = cue.shape ? this.getTransitionDuration(cue) : 0;
+    const path = cue.camera && cue.camera.path ? cue.camera.path.getDuration() : 0;
+    return Math.max(transition, path);
+  }
+
+  /**
+   * Play the timeline from the start, or from a position on it. Playing from
+   * the start records the mesh's state as the one seek() rewinds to; cues at
+   * the start time fire immediately.
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.from] - Position in ms to start from, set up as with seek()
+   * @returns {Sequencer} - This instance for chaining
+   */
+  play(options = {}) {
+    const from = options.from;
+    if (from === undefined || !this.baseline) {
+      this.captureBaseline();
+    }
+
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.iteration = 0;
+    if (from !== undefined) {
+      this.seek(from);
+    } else {
+      this.time = 0;
+      this.nextCue = 0;
+    }
+
+    this.mesh.events.emit('sequencestart', { duration: this.getDuration() });
+    this.update(0);
+    return this;
+  }
+
+  /**
+   * Hold the timeline at its current position. Transitions already started keep running.
+   * @returns {Sequencer} - This instance for chaining
+   */
+  pause() {
+    this.isPaused = true;
+    return this;
+  }
+
+  /**
+   * Continue a paused timeline
+   * @returns {Sequencer} - This instance for chaining
+   */
+  resume() {
+    this.isPaused = false;
+    return this;
+  }
+
+  /**
+   * Stop playback and rewind; the current shape stays on screen
+   * @returns {Sequencer} - This instance for chaining
+   */
+  stop() {
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.time = 0;
+    this.nextCue = 0;
+    return this;
+  }
+
+  /**
+   * Jump to a point on the timeline. The mesh is first put back in the state
+   * the timeline started from (see play()), then the shape, camera and config
+   * are set to what the cues before that time make them, including a
+   * transition part-way through; call cues before that time are not run.
+   * @param {number} time - Position in ms
+   * @returns {Sequencer} - This instance for chaining
+   */
+  seek(time) {
+    const duration = this.getDuration();
+    time = Math.min(Math.max(time, 0), duration);
+
+    if (!this.baseline) {
+      this.captureBaseline();
+    }
+    const baseline = this.baseline;
+    const passed = this.cues.filter(cue => cue.at <= time);
+
+    // Config changes accumulate, so layer all of them in order over the starting values
+    const config = passed.filter(cue => cue.config).map(cue => cue.config);
+    this.mesh.setConfig(Object.assign({ ...baseline.config }, ...config));
+
+    // Land on the last shape, starting from the one before it if its transition is unfinished
+    const initial = baseline.shape ? { shape: baseline.shape.name, options: baseline.shape.options } : null;
+    const shapeCues = passed.filter(cue => cue.shape);
+    const current = shapeCues[shapeCues.length - 1];
+    if (!current) {
+      if (initial) {
+        this.jumpToShape(initial);
+      } else {
+        // The timeline started without a shape: stop any cue's transition and leave particles free
+        this.mesh.cancelTransition();
+        this.mesh.currentShape = null;
+        this.mesh.targetShape = null;
+      }
+    } else {
+      const elapsed = time - current.at;
+      if (elapsed >= this.getTransitionDuration(current)) {
+        this.jumpToShape(current);
+      } else {
+        const previous = shapeCues[shapeCues.length - 2] || initial;
+        if (previous) {
+          this.jumpToShape(previous);
+        }
+        this.runShape(current);
+        this.mesh.animationController.seek(elapsed);
+      }
+    }
+
+    // A camera path picks up where it would be by now
+    const cameraCues = passed.filter(cue => cue.camera);
+    if (cameraCues.length > 0) {
+      const cue = cameraCues[cameraCues.length - 1];
+      this.runCamera(cue, time - cue.at);
+    } else {
+      this.mesh.camera.restore(baseline.camera);
+    }
+
+    this.time = time;
+    this.nextCue = passed.length;
+    this.mesh.events.emit('sequenceseek', { time });
+    return this;
+  }
+
+  /**
+   * Advance the timeline and fire cues that are due
+   * @param {number} delta - Simulation time elapsed since the last update in ms
+   */
+  update(delta) {
+    if (!this.isPlaying || this.isPaused) return;
+
+    this.time += delta * this.playbackRate;
+    const duration = this.getDuration();
+
+    // A loop may wrap more than once when a large step is taken
+    while (this.isPlaying) {
+      // A cue's action may pause, stop or seek the timeline
+      while (this.isPlaying && !this.isPaused &&
+             this.nextCue < this.cues.length && this.cues[this.nextCue].at <= this.time) {
+        const index = this.nextCue++;
+        this.fireCue(this.cues[index], index);
+      }
+
+      if (!this.isPlaying || this.isPaused) return;
+      if (this.nextCue < this.cues.length || this.time < duration) return;
+
+      if (!this.loop || duration <= 0) {
+        this.isPlaying = false;
+        this.mesh.events.emit('sequencecomplete', { time: this.time });
+        return;
+      }
+
+      this.time -= duration;
+      this.nextCue = 0;
+      this.iteration++;
+      this.mesh.events.emit('sequenceloop', { iteration: this.iteration });
+    }
+  }
+
+  /**
+   * Record the state seek() rewinds to: the mesh's own value of every option
+   * a config cue changes, the shape on screen (or being transitioned to) and
+   * the camera
+   */
+  captureBaseline() {
+    const mesh = this.mesh;
+    const config = {};
+    this.cues.filter(cue => cue.config).forEach(cue => {
+      // Options the mesh was not given stay undefined, which restores the default or preset value
+      Object.keys(cue.config).forEach(key => {
+        config[key] = mesh.customConfig[key];
+      });
+    });
+
+    this.baseline = {
+      config,
+      shape: mesh.serializeShape(mesh.targetShape || mesh.currentShape),
+      camera: mesh.camera.serialize()
+    };
+  }
+
+  /**
+   * Run every action of a cue and emit a 'cue' event
+   * @param {Object} cue - Cue to run
+   * @param {number} index - Position of the cue on the timeline
+   */
+  fireCue(cue, index) {
+    if (cue.config) {
+      this.mesh.setConfig(cue.config);
+    }
+    if (cue.shape) {
+      this.runShape(cue);
+    }
+    if (cue.camera) {
+      this.runCamera(cue);
+    }
+    if (typeof cue.call === 'function') {
+      cue.call(this.mesh, cue);
+    }
+
+    this.mesh.events.emit('cue', {
+      name: cue.name !== undefined ? cue.name : null,
+      index,
+      at: cue.at,
+      time: this.time
+    });
+  }
+
+  /**
+   * Start a cue's shape transition
+   * @param {Object} cue - Shape cue
+   */
+  runShape(cue) {
+    const config = this.mesh.config;
+    this.mesh.transitionToShape(
+      cue.shape,
+      cue.options || {},
+      this.getTransitionDuration(cue),
+      cue.easing || config.DEFAULT_TRANSITION_TYPE
+    );
+  }
+
+  /**
+   * Show a cue's shape immediately, without a transition
+   * @param {Object} cue - Shape cue
+   */
+  jumpToShape(cue) {
+    this.mesh.transitionToShape(cue.shape, cue.options || {}, 0);
+    this.mesh.animationController.updateTransition(this.mesh.particles, 0);
+  }
+
+  /**
+   * Apply a cue's camera move
+   * @param {Object} cue - Camera cue
+   * @param {number} [elapsed] - Time in ms since the cue fired, for camera paths
+   */
+  runCamera(cue, elapsed = 0) {
+    if (cue.camera === 'free') {
+      this.mesh.camera.resetToFreeMode();
+      return;
+    }
+    if (cue.camera.path) {
+      this.mesh.followCameraPath(cue.camera.path, { startTime: elapsed });
+      return;
+    }
+
+    const { lookAt, ...prefs } = cue.camera;
+    this.mesh.camera.moveTo({ ...prefs, lookAtPoint: lookAt });
+  }
+
+  /**
+   * Get the transition duration of a shape cue
+   * @param {Object} cue - Shape cue
+   * @returns {number} - Duration in ms
+   */
+  getTransitionDuration(cue) {
+    return cue.duration !== undefined ? cue.duration : this.mesh.config.DEFAULT_TRANSITION_DURATION;
+  }
+}
+
+// Export for module usage
+
+export default Sequencer;
\ No newline at end of file
@@ -6,9 +6,11 @@ class ShapeManager {
   /**
    * Create a new shape manager
    * @param {Object} config - Configuration object
+   * @param {Random} [random] - Random number generator shared with shape functions
    */
-  constructor(config) {
+  constructor(config, random = new Random()) {
     this.config = config;
+    this.random = random;
     this.shapes = {};
     
     // Register built-in shapes
@@ -32,7 +34,7 @@ class ShapeManager {
   /**
    * Register a new shape generator function
    * @param {string} name - Name of the shape
-   * @param {Function} shapeFunction - Function that generates the shape
+   * @param {Function} shapeFunction - Function called with (particles, options, random) that generates the shape
    */
   registerShape(name, shapeFunction) {
     this.shapes[name] = shapeFunction;
@@ -51,12 +53,76 @@ class ShapeManager {
       return null;
     }
     
+    // Particles keep the targets of earlier shapes, so clear them to see which
+    // particles this shape places; the others get their old targets back below
+    const previous = particles.map(particle => [particle.targetX, particle.targetY, particle.targetZ]);
+    particles.forEach(particle => {
+      particle.targetX = particle.targetY = particle.targetZ = null;
+    });
+    
     // Create the shape
-    const shape = this.shapes[name](particles, options);
+    // Shape functions get the seeded generator so custom shapes stay reproducible
+    let shape;
+    let placed = [];
+    try {
+      shape = this.shapes[name](particles, options, this.random);
+    } finally {
+      placed = particles.filter(particle => particle.targetX !== null);
+      particles.forEach((particle, i) => {
+        if (particle.targetX === null) {
+          [particle.targetX, particle.targetY, particle.targetZ] = previous[i];
+        }
+      });
+    }
+    
+    // Remember the options so the shape can be rebuilt, e.g. when the particle count changes
+    if (shape) {
+      shape.options = options;
+      
+      // Measure where the shape put the particles so the camera can frame it
+      if (!shape.bounds) {
+        shape.bounds = this.computeBounds(placed);
+      }
+    }
     
     return shape;
   }
   
+  /**
+   * Bounding box and sphere of the particles' target positions
+   * @param {Array} particles - Particles with targets set by a shape
+   * @returns {Object|null} - { min, max, center, radius } with the sphere around the box's
+   *   center, or null when no particle has a target
+   */
+  computeBounds(particles) {
+    // Particles the shape left without a target keep their null targets
+    const targeted = particles.filter(particle =>
+      particle.targetX !== null && particle.targetY !== null && particle.targetZ !== null);
+    if (targeted.length === 0) return null;
+    
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    targeted.forEach(particle => {
+      min.x = Math.min(min.x, particle.targetX);
+      min.y = Math.min(min.y, particle.targetY);
+      min.z = Math.min(min.z, particle.targetZ);
+      max.x = Math.max(max.x, particle.targetX);
+      max.y = Math.max(max.y, particle.targetY);
+      max.z = Math.max(max.z, particle.targetZ);
+    });
+    
+    const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+    let radius = 0;
+    targeted.forEach(particle => {
+      const dx = particle.targetX - center.x;
+      const dy = particle.targetY - center.y;
+      const dz = particle.targetZ - center.z;
+      radius = Math.max(radius, dx * dx + dy * dy + dz * dz);
+    });
+    
+    return { min, max, center, radius: Math.sqrt(radius) };
+  }
+  
   /**
    * Create a random distribution (default behavior)
    * @param {Array} particles - Array of particles to position
@@ -68,9 +134,9 @@ class ShapeManager {
     
     particles.forEach(particle => {
       particle.setTarget(
-        (Math.random() * 2 - 1) * bound,
-        (Math.random() * 2 - 1) * bound,
-        (Math.random() * 2 - 1) * bound
+        this.random.signed() * bound,
+        this.random.signed() * bound,
+        this.random.signed() * bound
       );
     });
     
@@ -83,7 +149,8 @@ class ShapeManager {
         angle: options.cameraAngle,
         elevation: options.cameraElevation,
         distance: options.cameraDistance,
-        lookAtPoint: options.lookAtPoint
+        lookAtPoint: options.lookAtPoint,
+        autoFrame: false // The cloud fills the whole BOUND cube; keep CAMERA_DISTANCE inside it
       }
     };
   }
@@ -152,13 +219,13 @@ class ShapeManager {
     
     particles.forEach((particle, index) => {
       // Generate random angle and distance from center
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.random.next() * Math.PI * 2;
       let distance;
       
       // Ensure particles are not in the pupil
       do {
         // Bias toward outer edge for iris texture
-        const r = Math.random();
+        const r = this.random.next();
         distance = pupilRadius + (radius - pupilRadius) * (r * r);
       } while (distance < pupilRadius);
       
@@ -167,7 +234,7 @@ class ShapeManager {
       const y = centerY + distance * Math.sin(angle);
       
       // Add some depth variation
-      const z = centerZ + (Math.random() * 2 - 1) * depth;
+      const z = centerZ + this.random.signed() * depth;
       
       particle.setTarget(x, y, z);
     });
@@ -213,8 +280,8 @@ class ShapeManager {
     const centerZ = options.centerZ || 0;
     
     particles.forEach((particle, index) => {
-      const u = Math.random() * Math.PI * 2;
-      const v = Math.random() * Math.PI * 2;
+      const u = this.random.next() * Math.PI * 2;
+      const v = this.random.next() * Math.PI * 2;
       
       const x = centerX + (majorRadius + minorRadius * Math.cos(v)) * Math.cos(u);
       const y = centerY + (majorRadius + minorRadius * Math.cos(v)) * Math.sin(u);
@@ -255,9 +322,9 @@ class ShapeManager {
       
       if (hollow) {
         // Place particles on the faces of the cube
-        const face = Math.floor(Math.random() * 6);
-        const u = Math.random() * 2 - 1;
-        const v = Math.random() * 2 - 1;
+        const face = this.random.int(6);
+        const u = this.random.signed();
+        const v = this.random.signed();
         
         switch (face) {
           case 0: // Front face
@@ -293,9 +360,9 @@ class ShapeManager {
         }
       } else {
         // Fill the entire cube volume
-        x = centerX + (Math.random() * 2 - 1) * size;
-        y = centerY + (Math.random() * 2 - 1) * size;
-        z = centerZ + (Math.random() * 2 - 1) * size;
+        x = centerX + this.random.signed() * size;
+        y = centerY + this.random.signed() * size;
+        z = centerZ + this.random.signed() * size;
       }
       
       particle.setTarget(x, y, z);
@@ -333,8 +400,8 @@ class ShapeManager {
       let x, y, z;
       
       // Calculate position based on orientation
-      const u = (Math.random() * 2 - 1) * width / 2;
-      const v = (Math.random() * 2 - 1) * height / 2;
+      const u = this.random.signed() * width / 2;
+      const v = this.random.signed() * height / 2;
       
       switch (orientation) {
         case 'xy':
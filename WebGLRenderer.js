@@ -169,13 +169,83 @@ class WebGLRenderer {
       this.lineColorBuffer = gl.createBuffer();
     }
   
+    /**
+     * Update the viewport after the canvas has been resized. Point sizes come
+     * from the camera's projection, which already includes the pixel ratio.
+     * @param {number} width - Canvas width in device pixels.
+     * @param {number} height - Canvas height in device pixels.
+     */
+    resize(width, height) {
+      if (this.gl) {
+        this.gl.viewport(0, 0, width, height);
+      }
+    }
+  
+    /**
+     * Delete shader programs and buffers, and optionally release the WebGL context.
+     * A lost context stays lost for the canvas, so only lose it when nothing will
+     * draw on the canvas again.
+     * @param {boolean} [loseContext=false] - True to free the context itself.
+     */
+    destroy(loseContext = false) {
+      const gl = this.gl;
+      if (gl) {
+        [this.particleShaderProgram, this.lineShaderProgram].forEach(program => {
+          if (!program) return;
+          (gl.getAttachedShaders(program) || []).forEach(shader => {
+            gl.detachShader(program, shader);
+            gl.deleteShader(shader);
+          });
+          gl.deleteProgram(program);
+        });
+        [this.particleBuffer, this.lineBuffer, this.lineColorBuffer].forEach(buffer => {
+          if (buffer) gl.deleteBuffer(buffer);
+        });
+        
+        // Free the context itself instead of waiting for garbage collection
+        const extension = loseContext ? gl.getExtension('WEBGL_lose_context') : null;
+        if (extension) extension.loseContext();
+      }
+      this.particleShaderProgram = null;
+      this.lineShaderProgram = null;
+      this.particleBuffer = null;
+      this.lineBuffer = null;
+      this.lineColorBuffer = null;
+      this.gl = null;
+      this.canvas = null;
+    }
+  
     clear() {
       const gl = this.gl;
+      const background = this.getColor(this.config.BACKGROUND_COLOR);
       gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-      gl.clearColor(0.07, 0.07, 0.07, 1.0); // Use BACKGROUND_COLOR (e.g., "#111")
+      gl.clearColor(background.r, background.g, background.b, background.a);
       gl.clear(gl.COLOR_BUFFER_BIT);
     }
   
+    /**
+     * Convert a config color to WebGL channels. Read every frame so color
+     * changes made through setConfig() apply immediately.
+     * @param {string} color - CSS color string.
+     * @returns {Object} - { r, g, b, a } from 0 to 1 (white if unparseable).
+     */
+    getColor(color) {
+      const c = Color.parse(color) || Color.WHITE;
+      return { r: c.r / 255, g: c.g / 255, b: c.b / 255, a: c.a };
+    }
+  
+    /**
+     * Get the radius a particle is drawn with, grown while it is highlighted.
+     * @param {Particle} particle - Particle to measure.
+     * @param {number} scale - Perspective scale of the particle on screen.
+     * @returns {number} - Radius in device pixels.
+     */
+    getPointRadius(particle, scale) {
+      const isHighlighted = particle.highlighted && this.config.HIGHLIGHT_COLOR;
+      // Increase size by 15% for WebGL to match Canvas appearance
+      return particle.size * 1.15 * scale * (isHighlighted ? this.config.HIGHLIGHT_SCALE : 1) / 2;
+    }
+  
     /**
      * Draw the particles.
      * @param {Array} particles - Array of Particle objects (each must have x,y,z and size)
@@ -191,6 +261,8 @@ class WebGLRenderer {
       
       // Get screen right vector for chromatic aberration
       const screenR = camera.getScreenRightVector();
+      const color = this.getColor(this.config.PARTICLE_COLOR);
+      const highlight = this.config.HIGHLIGHT_COLOR ? this.getColor(this.config.HIGHLIGHT_COLOR) : null;
       
       // Create arrays for each chromatic channel (red, blue, white)
       // Add a glow layer for each color
@@ -208,19 +280,20 @@ class WebGLRenderer {
         // Calculate chromatic aberration offset based on distance from camera
         const offset = this.calculateChromaticOffset(p, screenR, velocityFactor);
         
-        // Calculate particle size with screen scaling
-        // Increase size by 15% for WebGL to match Canvas appearance
-        const size = p.size * 1.15 * (p.screen ? p.screen.scale : 1.0);
+        // Point sizes are diameters
+        const isHighlighted = p.highlighted && highlight;
+        const size = this.getPointRadius(p, p.screen.scale) * 2;
+        const center = isHighlighted ? highlight : color;
         
         // Glow layer (larger and semi-transparent)
         glowVertices[gIdx++] = p.x;
         glowVertices[gIdx++] = p.y;
         glowVertices[gIdx++] = p.z;
         glowVertices[gIdx++] = size * 1.7; // Larger size for glow effect
-        glowVertices[gIdx++] = 1.0; // r
-        glowVertices[gIdx++] = 1.0; // g
-        glowVertices[gIdx++] = 1.0; // b
-        glowVertices[gIdx++] = p.opacity * 0.3; // Lower opacity for glow
+        glowVertices[gIdx++] = color.r;
+        glowVertices[gIdx++] = color.g;
+        glowVertices[gIdx++] = color.b;
+        glowVertices[gIdx++] = p.opacity * color.a * 0.3; // Lower opacity for glow
         
         // Red channel (shifted left)
         redVertices[rIdx++] = p.x - offset.x;
@@ -242,15 +315,15 @@ class WebGLRenderer {
         blueVertices[bIdx++] = 1.0; // b
         blueVertices[bIdx++] = p.opacity * this.config.CHROMATIC_STRENGTH;
         
-        // White center
+        // Center in the particle color, or the highlight color while hovered
         whiteVertices[wIdx++] = p.x;
         whiteVertices[wIdx++] = p.y;
         whiteVertices[wIdx++] = p.z;
-        whiteVertices[wIdx++] = size; // Full size for white center
-        whiteVertices[wIdx++] = 1.0; // r
-        whiteVertices[wIdx++] = 1.0; // g
-        whiteVertices[wIdx++] = 1.0; // b
-        whiteVertices[wIdx++] = p.opacity;
+        whiteVertices[wIdx++] = size; // Full size for the center
+        whiteVertices[wIdx++] = center.r;
+        whiteVertices[wIdx++] = center.g;
+        whiteVertices[wIdx++] = center.b;
+        whiteVertices[wIdx++] = p.opacity * center.a;
       }
       
       gl.useProgram(this.particleShaderProgram);
@@ -345,6 +418,8 @@ class WebGLRenderer {
       
       // Get screen right vector for chromatic aberration
       const screenR = camera.getScreenRightVector();
+      const color = this.getColor(this.config.PARTICLE_COLOR);
+      const highlight = this.config.HIGHLIGHT_COLOR ? this.getColor(this.config.HIGHLIGHT_COLOR) : null;
       
       // Create arrays for each chromatic channel (red, blue, white)
       const redVertices = new Float32Array(connections.length * 14); // 7 values per vertex, 2 vertices per line
@@ -409,24 +484,28 @@ class WebGLRenderer {
         blueVertices[bIdx++] = 1.0; // b
         blueVertices[bIdx++] = connectionOpacity * this.config.CHROMATIC_STRENGTH;
         
-        // White center
+        // Center in the particle color; connections of a hovered particle are highlighted
+        const isHighlighted = highlight && (p1.highlighted || p2.highlighted);
+        const center = isHighlighted ? highlight : color;
+        const centerOpacity = isHighlighted ? Math.min(connectionOpacity * 2, 1) : connectionOpacity;
+        
         // First vertex (p1)
         whiteVertices[wIdx++] = p1.x;
         whiteVertices[wIdx++] = p1.y;
         whiteVertices[wIdx++] = p1.z;
-        whiteVertices[wIdx++] = 1.0; // r
-        whiteVertices[wIdx++] = 1.0; // g
-        whiteVertices[wIdx++] = 1.0; // b
-        whiteVertices[wIdx++] = connectionOpacity;
+        whiteVertices[wIdx++] = center.r;
+        whiteVertices[wIdx++] = center.g;
+        whiteVertices[wIdx++] = center.b;
+        whiteVertices[wIdx++] = centerOpacity * center.a;
         
         // Second vertex (p2)
         whiteVertices[wIdx++] = p2.x;
         whiteVertices[wIdx++] = p2.y;
         whiteVertices[wIdx++] = p2.z;
-        whiteVertices[wIdx++] = 1.0; // r
-        whiteVertices[wIdx++] = 1.0; // g
-        whiteVertices[wIdx++] = 1.0; // b
-        whiteVertices[wIdx++] = connectionOpacity;
+        whiteVertices[wIdx++] = center.r;
+        whiteVertices[wIdx++] = center.g;
+        whiteVertices[wIdx++] = center.b;
+        whiteVertices[wIdx++] = centerOpacity * center.a;
       }
       
       gl.useProgram(this.lineShaderProgram);
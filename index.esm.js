@@ -7,6 +7,7 @@
 import Particle3DMesh from './Particle3DMesh.esm.js';
 import Particle from './Particle.esm.js';
 import Camera from './Camera.esm.js';
+import CameraPath from './CameraPath.esm.js';
 import Renderer from './Renderer.esm.js';
 import WebGLRenderer from './WebGLRenderer.esm.js';
 import ShapeManager from './ShapeManager.esm.js';
@@ -15,12 +16,22 @@ import Config from './Config.esm.js';
 import ExclusionZone from './ExclusionZone.esm.js';
 import SpatialGrid from './SpatialGrid.esm.js';
 import Matrix4 from './Matrix4.esm.js';
+import Quaternion from './Quaternion.esm.js';
+import EventEmitter from './EventEmitter.esm.js';
+import Clock from './Clock.esm.js';
+import Random from './Random.esm.js';
+import Color from './Color.esm.js';
+import InputController from './InputController.esm.js';
+import Sequencer from './Sequencer.esm.js';
+import ScrollScrubber from './ScrollScrubber.esm.js';
+import SceneLoader from './SceneLoader.esm.js';
 
 // Export all components
 export {
   Particle3DMesh,
   Particle,
   Camera,
+  CameraPath,
   Renderer,
   WebGLRenderer,
   ShapeManager,
@@ -28,7 +39,16 @@ export {
   Config,
   ExclusionZone,
   SpatialGrid,
-  Matrix4
+  Matrix4,
+  Quaternion,
+  EventEmitter,
+  Clock,
+  Random,
+  Color,
+  InputController,
+  Sequencer,
+  ScrollScrubber,
+  SceneLoader
 };
 
 // Default export for convenience
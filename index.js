@@ -7,15 +7,25 @@
 // This file is only needed for Node.js environments.
 // For browser usage, include the individual script files directly in your HTML:
 // <script src="Config.js"></script>
+// <script src="Color.js"></script>
 // <script src="Matrix4.js"></script>
+// <script src="Quaternion.js"></script>
+// <script src="Clock.js"></script>
+// <script src="Random.js"></script>
 // <script src="ExclusionZone.js"></script>
 // <script src="Particle.js"></script>
 // <script src="Camera.js"></script>
+// <script src="CameraPath.js"></script>
 // <script src="Renderer.js"></script>
 // <script src="WebGLRenderer.js"></script>
 // <script src="ShapeManager.js"></script>
 // <script src="AnimationController.js"></script>
+// <script src="InputController.js"></script>
+// <script src="Sequencer.js"></script>
+// <script src="ScrollScrubber.js"></script>
+// <script src="SceneLoader.js"></script>
 // <script src="SpatialGrid.js"></script>
+// <script src="EventEmitter.js"></script>
 // <script src="Particle3DMesh.js"></script>
 
 // Node.js exports
@@ -23,6 +33,7 @@ if (typeof module !== 'undefined' && module.exports) {
   const Particle3DMesh = require('./Particle3DMesh');
   const Particle = require('./Particle');
   const Camera = require('./Camera');
+  const CameraPath = require('./CameraPath');
   const Renderer = require('./Renderer');
   const WebGLRenderer = require('./WebGLRenderer');
   const ShapeManager = require('./ShapeManager');
@@ -31,11 +42,21 @@ if (typeof module !== 'undefined' && module.exports) {
   const ExclusionZone = require('./ExclusionZone');
   const SpatialGrid = require('./SpatialGrid');
   const Matrix4 = require('./Matrix4');
+  const Quaternion = require('./Quaternion');
+  const EventEmitter = require('./EventEmitter');
+  const Clock = require('./Clock');
+  const Random = require('./Random');
+  const Color = require('./Color');
+  const InputController = require('./InputController');
+  const Sequencer = require('./Sequencer');
+  const ScrollScrubber = require('./ScrollScrubber');
+  const SceneLoader = require('./SceneLoader');
 
   module.exports = {
     Particle3DMesh,
     Particle,
     Camera,
+    CameraPath,
     Renderer,
     WebGLRenderer,
     ShapeManager,
@@ -43,6 +64,15 @@ if (typeof module !== 'undefined' && module.exports) {
     Config,
     ExclusionZone,
     SpatialGrid,
-    Matrix4
+    Matrix4,
+    Quaternion,
+    EventEmitter,
+    Clock,
+    Random,
+    Color,
+    InputController,
+    Sequencer,
+    ScrollScrubber,
+    SceneLoader
   };
 }